@@ -1,3 +1,7 @@
+// seconds after the playhead audio track switches take effect. media at the
+// playhead is left in place so playback doesn't stall.
+var AUDIO_SWITCH_DELAY = 1;
+
 class PresentationController extends PlayerObject {
     constructor(player) {
         this.player             = player;
@@ -13,8 +17,13 @@ class PresentationController extends PlayerObject {
         this.downloader         = new Downloader(this);
         this.processor          = new MPDProcessor(this);
         this.presentation       = new Presentation(this);
+        this.protection         = new Protection(this);
+        this.latencyController  = new LatencyController(this);
         this.manifestURL        = player.options.url;
         this.manifestLoaded     = undefined;
+        this.liveSeekableRange  = undefined;
+        this.pendingDuration    = undefined;
+        this.lastError          = null;
 
         // segments
         this.videoSegments = new SegmentWindow(
@@ -48,6 +57,48 @@ class PresentationController extends PlayerObject {
             clearInterval(this.tickInterval);
         this.downloader.destruct();
         this.presentation.destruct();
+        this.protection.destruct();
+    }
+
+
+    // ---------------------------
+    // errors
+    // ---------------------------
+    // errors are reported to the app as player:error events. fatal errors
+    // move the controller to the error state: buffering stops, outstanding
+    // requests are aborted and the media source is ended with an error.
+    error(playerError) {
+        if (this.state == PresentationController.error)
+            return;
+
+        if (playerError.fatal)
+            console.error(playerError.toString(), playerError.details);
+        else
+            console.warn(playerError.toString(), playerError.details);
+
+        this.lastError = playerError;
+        this.player.emit('error', {
+            code:       playerError.code,
+            name:       playerError.name,
+            message:    playerError.message,
+            fatal:      playerError.fatal,
+            details:    playerError.details
+        });
+
+        if (!playerError.fatal)
+            return;
+
+        if (this.tickInterval)
+            clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.downloader.destruct();
+        this.setState(PresentationController.error);
+
+        let mediaSource = this.player.mediaSource;
+        if (mediaSource.readyState == 'open') {
+            let network = playerError.code == PlayerError.networkError;
+            mediaSource.endOfStream(network ? 'network' : 'decode');
+        }
     }
 
 
@@ -75,16 +126,30 @@ class PresentationController extends PlayerObject {
     }
 
     loadedManifest(manifest) {
+        if (this.state == PresentationController.error ||
+            this.state == PresentationController.ended)
+            return;
+
         if (this.state == PresentationController.uninitialised)
             this.setState(PresentationController.firstMPDLoaded);
 
         // add the manifest to the presentation. presentation will process
-        // the manifest and add/remove intervals as required
+        // the manifest and add/remove intervals as required. a manifest
+        // inconsistent with the current presentation, or whose segments
+        // can't be queued (e.g a recording with no duration), can't be played.
         console.log(`${this.manifestLoaded.toFixed(2)} loaded manifest`);
-        this.presentation.updateManifest(manifest);
-
-        if (this.state >= PresentationController.sourcesInitialised)
-            this.updateSegmentWindows();
+        try {
+            this.presentation.updateManifest(manifest);
+            if (this.state >= PresentationController.sourcesInitialised)
+                this.updateSegmentWindows();
+        } catch (e) {
+            this.error(new PlayerError(
+                PlayerError.manifestUpdateError,
+                `cannot apply manifest: ${e}`,
+                true,
+                {url: this.manifestURL}
+            ));
+        }
     }
 
     // ---------------------------
@@ -95,12 +160,22 @@ class PresentationController extends PlayerObject {
 
         let videoSource = this.presentation.videoSource;
         this.player.setDimensions(videoSource.width, videoSource.height);
-        videoSource.createBuffer();
+
+        // protected content requests a key system while buffers are created
+        let representations = [videoSource.currentRepresentation];
+        let audioRepresentation = this.presentation.audioSource.currentRepresentation;
+        if (this.hasAudio && audioRepresentation)
+            representations.push(audioRepresentation);
+        this.protection.setup(representations);
+
+        if (!videoSource.createBuffer())
+            return;
 
         // We check here if there actually is an audio source
         if (this.hasAudio && this.presentation.audioSource.currentRepresentation) {
             var audioSource = this.presentation.audioSource;
-            audioSource.createBuffer();
+            if (!audioSource.createBuffer())
+                return;
         } else {
             this.hasAudio = false;
         }
@@ -132,16 +207,19 @@ class PresentationController extends PlayerObject {
             return;
 
         // wait until all sources are successfully initialised to prevent
-        // downloading segments unnecessarily
+        // downloading segments unnecessarily. live edge calculations also
+        // depend on the clock being synchronised with the server.
         let presentation = this.presentation;
+        if (presentation.clockState != Presentation.synchronised)
+            return;
+
         let audioInitialised = true;
 
         if (this.hasAudio)
-            audioInitialised =
-                    presentation.audioSource.state == Source.initialised;
+            audioInitialised = presentation.audioSource.ready;
 
         let allInitialised =
-                    presentation.videoSource.state == Source.initialised &&
+                    presentation.videoSource.ready &&
                     audioInitialised;
 
         if (!allInitialised)
@@ -161,6 +239,244 @@ class PresentationController extends PlayerObject {
     }
 
 
+    // ---------------------------
+    // live edge
+    // ---------------------------
+    // a segment requested at the live edge wasn't available, so the local
+    // clock is ahead of the server's. if the server reported its time in the
+    // response use it, otherwise move the live edge back to the start of the
+    // failed segment. the manifest is reloaded to pick up any changes, and
+    // the clock resynchronised if the manifest provides time sources.
+    resyncLiveEdge(segment, xhr) {
+        let presentation = this.presentation;
+        let serverDate = xhr.getResponseHeader('Date');
+        let serverTime = serverDate ? Date.parse(serverDate) / 1000 : NaN;
+
+        if (!Number.isNaN(serverTime)) {
+            presentation.clockOffset = serverTime - (Date.now() / 1000);
+        } else {
+            let ahead = presentation.liveEdge() - segment.start;
+            presentation.clockOffset -= Math.max(ahead, 0);
+        }
+
+        console.warn(`segment ${segment.uri()} not yet available, live edge ` +
+                     `resynced, clock offset now ` +
+                     `${presentation.clockOffset.toFixed(2)}s`);
+
+        if (presentation.willReloadManifest)
+            this.loadManifest();
+
+        if (presentation.clockSynchronisable)
+            presentation.synchroniseClock();
+    }
+
+
+    // ---------------------------
+    // seeking
+    // ---------------------------
+    updateLiveSeekableRange() {
+        let mediaSource = this.player.mediaSource;
+        let presentation = this.presentation;
+
+        if (presentation.manifest.static || !mediaSource.setLiveSeekableRange)
+            return;
+        if (mediaSource.readyState != 'open')
+            return;
+
+        // the range moves continuously; only update it every second
+        let range = presentation.seekableRange();
+        let last = this.liveSeekableRange;
+        if (last && Math.abs(range.end - last.end) < 1 &&
+                Math.abs(range.start - last.start) < 1)
+            return;
+
+        mediaSource.setLiveSeekableRange(range.start, range.end);
+        this.liveSeekableRange = range;
+    }
+
+    // called when the video element starts seeking. downloads are moved to
+    // the segments containing the new playhead position.
+    seeking() {
+        // seeks before playback starts are performed by the controller
+        if (this.state != PresentationController.bufferAvailable)
+            return;
+
+        let time = this.player.video.currentTime;
+        console.log(`seeking to ${time.toFixed(2)}`);
+
+        this.videoSegments.seek(time);
+        this.presentation.videoSource.bitrateController.seeking();
+        if (this.hasAudio) {
+            this.audioSegments.seek(time);
+            this.presentation.audioSource.bitrateController.seeking();
+        }
+        this.presentation.events.seek(time);
+        this.latencyController.seeking();
+
+        // start buffering from the new position without waiting for a tick
+        this.tick();
+    }
+
+
+    // ---------------------------
+    // representations
+    // ---------------------------
+    // lock a source to a representation id, or return to automatic
+    // selection when id is null. the choice applies from the next segment.
+    lockRepresentation(contentType, id) {
+        let source = this.presentation.sourceFor(contentType);
+        if (id != null && !source.content.representations.some((r) => r.id == id))
+            throw `no ${contentType} representation with id ${id}`;
+
+        source.lockedRepresentation = id;
+        if (id == null)
+            console.log(`${contentType} representation selection is automatic`);
+        else
+            console.log(`${contentType} representation locked to ${id}`);
+    }
+
+    // called once a source buffer has been switched to a new representation
+    representationChanged(source, representation) {
+        if (source.video)
+            this.player.setDimensions(representation.width, representation.height);
+
+        this.player.emit('representationChange', {
+            contentType:    source.contentType,
+            representation: Player.describeRepresentation(representation)
+        });
+    }
+
+
+    // ---------------------------
+    // audio tracks
+    // ---------------------------
+    // audio switches from shortly after the playhead; media buffered from
+    // the old track after that point is discarded
+    selectAudioTrack(key) {
+        let presentation = this.presentation;
+        let track = presentation.audioTrackWith(key);
+        if (!track)
+            throw `no audio track with id ${key}`;
+
+        if (presentation.audioTrack == key)
+            return;
+
+        presentation.audioTrack = key;
+        console.log(`selected audio track ${key}`);
+        this.player.emit('audioTrackChange', track.describe());
+
+        // before buffering starts the selected track is used from the start
+        if (this.state < PresentationController.sourcesInitialised || !this.hasAudio)
+            return;
+
+        let time = this.player.video.currentTime + AUDIO_SWITCH_DELAY;
+        this.audioSegments.switchContent(time);
+    }
+
+
+    // ---------------------------
+    // periods
+    // ---------------------------
+    updateCurrentInterval(time) {
+        let timeline = this.presentation.timeline;
+        if (!timeline.advanceTo(time))
+            return;
+
+        let interval = timeline.currentInterval;
+        console.log(`playing period ${interval.id} from ${interval.start.toFixed(2)}`);
+        this.player.emit('periodChange', {
+            id:         interval.id,
+            start:      interval.start,
+            duration:   interval.duration
+        });
+    }
+
+
+    // ---------------------------
+    // end of stream
+    // ---------------------------
+    // the media source is ended once the final segments have been buffered,
+    // so the video element plays to the end of the buffer and fires ended.
+    // live presentations end for good once MPD@availabilityEndTime has
+    // passed. static presentations may still seek back to media which isn't
+    // buffered; appending reopens the media source.
+    checkEndOfStream() {
+        let presentation = this.presentation;
+        let mediaSource = this.player.mediaSource;
+        let availabilityEnded = presentation.manifest.dynamic &&
+                                    presentation.availabilityEnded;
+
+        if (mediaSource.readyState != 'open')
+            return;
+        if (!presentation.manifest.static && !availabilityEnded)
+            return;
+
+        let end = availabilityEnded ? presentation.availabilityEnd :
+                                      presentation.timeline.duration;
+        if (end == undefined || !this.segmentsCompleteTo(end) || !this.sourcesIdle)
+            return;
+
+        console.log(`all segments to ${end.toFixed(2)} buffered, ending stream`);
+        mediaSource.endOfStream();
+
+        if (availabilityEnded)
+            this.setState(PresentationController.ended);
+    }
+
+    segmentsCompleteTo(time) {
+        if (!this.videoSegments.completeTo(time))
+            return false;
+        return !this.hasAudio || this.audioSegments.completeTo(time);
+    }
+
+    // media source duration and state can't be changed while buffers are
+    // updating
+    get sourcesIdle() {
+        let sources = [this.presentation.videoSource];
+        if (this.hasAudio)
+            sources.push(this.presentation.audioSource);
+
+        return sources.every((source) =>
+            !source.updating && source.updateQueue.length == 0
+        );
+    }
+
+
+    // ---------------------------
+    // live to on demand
+    // ---------------------------
+    // a live presentation's manifest has been republished as static. reloads
+    // stop (the presentation is no longer live), the buffer and playhead are
+    // kept, and the segment windows are extended over the whole recording.
+    presentationBecameStatic() {
+        let duration = this.presentation.timeline.duration;
+        console.log(`live presentation ended, recording duration ` +
+                    `${duration != undefined ? duration.toFixed(2) : 'unknown'}`);
+
+        let mediaSource = this.player.mediaSource;
+        if (mediaSource.clearLiveSeekableRange && mediaSource.readyState == 'open')
+            mediaSource.clearLiveSeekableRange();
+        this.liveSeekableRange = undefined;
+
+        this.pendingDuration = duration;
+        this.player.emit('liveEnded', {duration});
+    }
+
+    applyPendingDuration() {
+        if (this.pendingDuration == undefined || !this.sourcesIdle)
+            return;
+
+        let duration = this.pendingDuration;
+        this.pendingDuration = undefined;
+
+        try {
+            this.player.duration = duration;
+        } catch (e) {
+            console.warn(`cannot set duration to ${duration.toFixed(2)}: ${e}`);
+        }
+    }
+
+
     // ---------------------------
     // buffering
     // ---------------------------
@@ -170,21 +486,118 @@ class PresentationController extends PlayerObject {
             this.audioSegments.update();
     }
 
+    // downloads are started for a source until bufferTarget seconds of
+    // media are buffered or downloading ahead of the playhead. returns false
+    // while less than minBufferTime is buffered.
+    fillBuffer(segments, current) {
+        let remaining = this.remaining(segments.source, current);
+        segments.fill(remaining, this.bufferTarget);
+        return remaining >= this.presentation.manifest.minBufferTime;
+    }
+
+    // the buffer target is at least the manifest's minBufferTime
+    get bufferTarget() {
+        let minBuffer = this.presentation.manifest.minBufferTime;
+        let target = this.options.bufferTarget;
+        return (target == undefined) ? minBuffer : Math.max(target, minBuffer);
+    }
+
+    // called as each media segment is received. received segments are
+    // appended, and the next download is started without waiting for a tick.
+    segmentReceived(source) {
+        let segments = this.segmentWindowFor(source);
+        segments.appendReceived();
+
+        let buffering = this.state == PresentationController.sourcesInitialised ||
+                        this.state == PresentationController.bufferAvailable;
+        if (buffering)
+            this.fillBuffer(segments, this.player.video.currentTime);
+    }
+
+    segmentWindowFor(source) {
+        return (source == this.presentation.videoSource) ?
+                    this.videoSegments : this.audioSegments;
+    }
+
+    // seconds of media buffered ahead of the playhead. before playback starts
+    // the playhead hasn't been moved to the start time, so media is measured
+    // from there instead. only media contiguous with the playhead counts, so
+    // seeking to an unbuffered time resumes buffering.
+    remaining(source, current) {
+        if (this.state < PresentationController.bufferAvailable) {
+            let start = this.playbackStart;
+            if (start == undefined)
+                return 0;
+            return source.bufferedFrom(start);
+        }
+
+        return source.bufferedFrom(current);
+    }
+
+    // segments are buffered at their presentation time, so playback starts
+    // at the first queued segment. when audio and video segments aren't
+    // aligned the later start is used so both have media to play.
+    get playbackStart() {
+        let start = this.videoSegments.startTime;
+        if (this.hasAudio) {
+            let audioStart = this.audioSegments.startTime;
+            if (start == undefined || audioStart == undefined)
+                return undefined;
+            start = Math.max(start, audioStart);
+        }
+
+        return start;
+    }
+
+    // the first frame of a segment may be presented fractionally after the
+    // segment's start time. the playhead is moved forward to the media so
+    // playback doesn't stall at the start.
+    startPlayback() {
+        let video = this.player.video;
+        let start = this.playbackStart;
+        let buffered = video.buffered;
+
+        for (let i = 0; i < buffered.length; i++) {
+            let gap = buffered.start(i) - start;
+            if (gap > 0 && gap < BUFFER_GAP_TOLERANCE)
+                start = buffered.start(i);
+        }
+
+        console.log(`starting playback at ${start.toFixed(2)}`);
+        this.latencyController.seek(start);
+        this.presentation.startTime = start;
+        video.play();
+    }
+
     tick() {
         // reload the manifest if minimumUpdatePeriod has passed
         let presentation = this.presentation;
-        if (presentation.willReloadManifest) {
+        if (this.state == PresentationController.ended)
+            return;
+
+        if (presentation.reloadsPeriodically) {
             let timeSinceManifest = performance.now() - this.manifestLoaded;
             timeSinceManifest /= 1000; // seconds
             if (timeSinceManifest >= presentation.manifest.minimumUpdatePeriod)
                 this.loadManifest();
         }
         
-        // keep buffering until at least minBufferTime is remaining
         let video = this.player.video;
         let current = video.currentTime;
-        let videoRemaining = presentation.videoSource.bufferEnd - current;
-        let bufferAvailable = true;
+
+        // live streams have an infinite duration, so the native controls
+        // need to be told which range of the stream can be seeked to
+        this.updateLiveSeekableRange();
+
+        // representation selection and text tracks follow the period being
+        // played
+        if (this.state == PresentationController.bufferAvailable)
+            this.updateCurrentInterval(current);
+
+        // buffers waiting to change type continue once their media has played
+        presentation.videoSource.resumeUpdates();
+        if (this.hasAudio)
+            presentation.audioSource.resumeUpdates();
 
         // update current times and remove old segments if presentation is live
         this.videoSegments.time = current;
@@ -194,28 +607,33 @@ class PresentationController extends PlayerObject {
             this.audioSegments.truncate();
         }
 
-        // TODO: take into account source bitrate, current download conditions
-        let minBuffer = presentation.manifest.minBufferTime;
-
-        if (videoRemaining < minBuffer) {
-            this.videoSegments.downloadNextSegment();
+        // keep buffering until at least minBufferTime is remaining
+        let bufferAvailable = this.fillBuffer(this.videoSegments, current);
+        if (this.hasAudio && !this.fillBuffer(this.audioSegments, current))
             bufferAvailable = false;
-        }
 
-        if (this.hasAudio) {
-            let audioRemaining = presentation.audioSource.bufferEnd - current;
-            if (audioRemaining < minBuffer) {
-                this.audioSegments.downloadNextSegment();
-                bufferAvailable = false;
-            }
+        // text doesn't hold up playback; enabled tracks load around the
+        // playhead as it moves
+        for (let textSource of presentation.textSources)
+            textSource.update(current);
+
+        // timed events fire as playback reaches them
+        if (this.state == PresentationController.bufferAvailable)
+            presentation.events.dispatch(current);
+
+        // live playback is held at the target latency
+        if (this.state == PresentationController.bufferAvailable)
+            this.latencyController.update(current);
+
+        if (this.state == PresentationController.bufferAvailable) {
+            this.applyPendingDuration();
+            this.checkEndOfStream();
         }
 
         if (bufferAvailable) {
             if (this.state == PresentationController.sourcesInitialised) {
                this.setState(PresentationController.bufferAvailable);
-               video.currentTime = video.buffered.start(0);
-               presentation.startTime = video.currentTime;
-               video.play();
+               this.startPlayback();
            }
         }
     }
@@ -231,5 +649,7 @@ PresentationController.enum('states', [
     'firstMPDLoaded',
     'sourceBuffersCreated',
     'sourcesInitialised',
-    'bufferAvailable'
+    'bufferAvailable',
+    'ended',
+    'error'
 ]);
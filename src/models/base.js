@@ -3,36 +3,109 @@
 // --------------------------------------------------
 // abstract model + parsing
 // --------------------------------------------------
-// scales used when parsing duration strings
+// scales used when parsing duration strings. xs:duration years and months
+// have no fixed length; like other players years are treated as 365 days and
+// months as 30 days, which is accurate enough for MPD timing attributes.
 var SECONDS = 1;                // xs:duration seconds
 var MINUTES = 60 * SECONDS;     // xs:duration minutes
 var HOURS   = 60 * MINUTES;     // xs:duration hours
-var DURATION_COMPONENTS = {
-    'S': SECONDS,
-    'M': MINUTES,
-    'H': HOURS
-};
+var DAYS    = 24 * HOURS;       // xs:duration days
+var WEEKS   = 7 * DAYS;         // ISO 8601 weeks (not part of xs:duration)
+var MONTHS  = 30 * DAYS;        // xs:duration months
+var YEARS   = 365 * DAYS;       // xs:duration years
+
+// sign, then date components (Y, M, W, D), then an optional time section (H,
+// M, S) following a 'T'. only seconds may be fractional.
+var DURATION_FORMAT = new RegExp(
+    '^(-)?P' +
+    '(?:(\\d+)Y)?(?:(\\d+)M)?(?:(\\d+)W)?(?:(\\d+)D)?' +
+    '(?:T(?:(\\d+)H)?(?:(\\d+)M)?(?:(\\d+(?:\\.\\d*)?|\\.\\d+)S)?)?$'
+);
+var DURATION_SCALES = [YEARS, MONTHS, WEEKS, DAYS, HOURS, MINUTES, SECONDS];
+
+// YYYY-MM-DDThh:mm:ss[.s+][Z|(+|-)hh:mm]. years may have more than 4 digits
+// and be negative; the timezone is optional.
+var DATE_TIME_FORMAT = new RegExp(
+    '^(-?\\d{4,})-(\\d{2})-(\\d{2})' +
+    'T(\\d{2}):(\\d{2}):(\\d{2}(?:\\.\\d+)?)' +
+    '(Z|([+-])(\\d{2}):(\\d{2}))?$'
+);
 
 // attribute processors
+// xs:dateTime values are returned as seconds since the epoch. values without
+// a timezone are interpreted as UTC (rather than the browser's local time
+// Date.parse would use), since MPD times are always expected to be UTC.
 function date(val) {
-    return Date.parse(val) / 1000; // treat dates as seconds
+    let match = val.trim().match(DATE_TIME_FORMAT);
+    if (!match)
+        throw `"${val}" is not a valid xs:dateTime`;
+
+    let [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(dbl);
+    let [zone, zoneSign] = match.slice(7, 9);
+    let [zoneHours, zoneMinutes] = match.slice(9).map(dbl);
+
+    // 24:00:00 is permitted and represents the first instant of the next day.
+    // timezone offsets are at most 14 hours.
+    let outOfRange = month < 1 || month > 12 ||
+                     day < 1 || day > daysInMonth(year, month) ||
+                     minutes > 59 || seconds >= 60 ||
+                     hours > 24 || (hours == 24 && (minutes + seconds) > 0);
+
+    if (zone && zone != 'Z') {
+        outOfRange = outOfRange || zoneMinutes > 59 || zoneHours > 14 ||
+                     (zoneHours == 14 && zoneMinutes > 0);
+    }
+
+    if (outOfRange)
+        throw `"${val}" is not a valid xs:dateTime, a component is out of range`;
+
+    // setUTCFullYear is used rather than Date.UTC which maps years 0 - 99
+    // to 1900 - 1999
+    let utc = new Date(0);
+    utc.setUTCFullYear(year, month - 1, day);
+    utc.setUTCHours(hours, minutes, 0, 0);
+    let time = (utc.getTime() / 1000) + seconds;
+
+    // timezone offsets are subtracted to convert local time to UTC
+    if (zone && zone != 'Z') {
+        let sign = (zoneSign == '-') ? -1 : 1;
+        time -= sign * ((zoneHours * HOURS) + (zoneMinutes * MINUTES));
+    }
+
+    return time;
 }
 
+// years are proleptic gregorian
+function daysInMonth(year, month) {
+    if (month == 2) {
+        let leap = (year % 4 == 0) && (year % 100 != 0 || year % 400 == 0);
+        return leap ? 29 : 28;
+    }
+
+    return [4, 6, 9, 11].indexOf(month) > -1 ? 30 : 31;
+}
+
+// xs:duration values are returned as (possibly fractional) seconds
 function duration(val) {
-    if (val.slice(0, 2) != 'PT')
-        throw 'can only parse durations solely composed of time components';
+    let match = val.trim().match(DURATION_FORMAT);
 
-    // remove "PT" and match each component: count (H | M | S)
-    let components = val.slice(2).match(/[\d\.]+[HMS]/g);
-    let seconds = 0;
+    // 'P' and 'PT' alone are invalid - at least one component must appear,
+    // and a 'T' must be followed by a time component
+    let invalid = !match ||
+                  match.slice(2).every((component) => component == undefined) ||
+                  val.trim().slice(-1) == 'T';
+
+    if (invalid)
+        throw `"${val}" is not a valid xs:duration`;
 
-    components.forEach((component) => {
-        let scale = DURATION_COMPONENTS[component.slice(-1)];
-        let count = parseFloat(component.slice(0, -1));
-        seconds += count * scale;
+    let seconds = 0;
+    DURATION_SCALES.forEach((scale, i) => {
+        let count = match[i + 2];
+        if (count != undefined)
+            seconds += parseFloat(count) * scale;
     });
 
-    return seconds;
+    return match[1] ? -seconds : seconds;
 }
 
 function bool(val) {
@@ -51,6 +124,15 @@ function str(val) {
     return val;
 }
 
+// base64 element content (e.g cenc:pssh boxes) as bytes
+function base64Bytes(val) {
+    let chars = atob(val.replace(/\s+/g, ''));
+    let bytes = new Uint8Array(chars.length);
+    for (let i = 0; i < chars.length; i++)
+        bytes[i] = chars.charCodeAt(i);
+    return bytes;
+}
+
 class Model {
     // construct models by supplying base XML to be used in
     // an overriden setup method, or another model to clone
@@ -117,9 +199,18 @@ class Model {
         for (name in pairs) {
             let val = this.attr(name);
             let processor = pairs[name];
-            
-            if (processor && val != undefined)
-                val = processor(val);
+
+            // processors throw when values can't be parsed. name the attribute
+            // and element in the error so invalid manifests can be diagnosed
+            if (processor && val != undefined) {
+                try {
+                    val = processor(val);
+                } catch (e) {
+                    throw `cannot parse ${name} attribute of ` +
+                          `${this.xml.nodeName} element: ${e}`;
+                }
+            }
+
             this[name] = val;
         }
 
@@ -152,14 +243,37 @@ class Model {
     }
 
     // children
+    // models are named after their element, unless the element name would
+    // shadow a browser global (e.g Event), in which case the model provides
+    // the element name in a static elementName property
+    elementName(type) {
+        return type.elementName || type.name;
+    }
+
+    // element names are converted to camel case variable names. a leading
+    // acronym is lowercased entirely, e.g UTCTiming becomes utcTiming.
     titleCase(type) {
-        return type.name[0].toLowerCase() + type.name.slice(1)
+        return this.elementName(type).replace(/^[A-Z]+(?=[A-Z][a-z])|^[A-Z]/, (prefix) =>
+            prefix.toLowerCase()
+        );
+    }
+
+    // only direct child elements are considered. elements such as BaseURL
+    // and SegmentBase may appear at several levels of the hierarchy, and a
+    // descendant search would find elements belonging to grandchildren.
+    childElements(name) {
+        let elements = [];
+        for (let node of [].slice.call(this.xml.childNodes)) {
+            if (node.nodeType == 1 && node.nodeName == name)
+                elements.push(node);
+        }
+        return elements;
     }
 
     init(type) {
         let varName = this.titleCase(type);
         this.elementAttributes.push(varName);
-        let xml = this.xml.getElementsByTagName(type.name)[0];
+        let xml = this.childElements(this.elementName(type))[0];
 
         if (xml == undefined) {
             this[varName] = undefined;
@@ -169,18 +283,18 @@ class Model {
     }
 
     initAll(type) {
+        // e.g Representation -> representations, Accessibility -> accessibilities
         let singularTypeName = this.titleCase(type);
-        let varName = singularTypeName + 's';
+        let varName = singularTypeName.replace(/y$/, 'ie') + 's';
         this.elementAttributes.push(varName);
 
         // load child elements
-        let elements = this.xml.getElementsByTagName(type.name);
+        let elements = this.childElements(this.elementName(type));
         if (elements.length == 0) {
             this[varName] = []
         } else {
-            let elementsArray = [].slice.call(elements);
             let parent = this;
-            this[varName] = elementsArray.map((xml) => {
+            this[varName] = elements.map((xml) => {
                 return new type(xml, parent);
             });
         }
@@ -0,0 +1,343 @@
+'use strict';
+
+// --------------------------------------------------
+// iso base media file format boxes
+// --------------------------------------------------
+// boxes are read directly from the array buffers returned by media requests.
+// only the handful of boxes the player needs to inspect are parsed; all other
+// boxes are exposed with their type, offset and size so they can be skipped.
+class Box {
+    constructor(view, offset) {
+        this.view       = view;
+        this.offset     = offset;
+        this.type       = Box.fourCC(view, offset + 4);
+        this.headerSize = 8;
+
+        // size == 1 indicates a 64 bit largesize field follows the type, and
+        // size == 0 indicates the box extends to the end of the data
+        let size = view.getUint32(offset);
+        if (size == 1) {
+            size = Box.uint64(view, offset + 8);
+            this.headerSize = 16;
+        } else if (size == 0) {
+            size = view.byteLength - offset;
+        }
+
+        this.size = size;
+        this.end  = offset + size;
+    }
+
+    static fourCC(view, offset) {
+        let chars = '';
+        for (let i = 0; i < 4; i++)
+            chars += String.fromCharCode(view.getUint8(offset + i));
+        return chars;
+    }
+
+    static uint64(view, offset) {
+        let high = view.getUint32(offset);
+        let low  = view.getUint32(offset + 4);
+        return (high * 0x100000000) + low;
+    }
+
+    // read the sequence of sibling boxes between start and end. parsing stops
+    // early if a box header is truncated or a size would overrun the data.
+    static parseAll(data, start = 0, end = undefined) {
+        let view = (data instanceof DataView) ? data : new DataView(data);
+        if (end == undefined)
+            end = view.byteLength;
+
+        let boxes = [];
+        let offset = start;
+
+        while (offset + 8 <= end) {
+            let box = new Box(view, offset);
+            if (box.size < box.headerSize || box.end > end)
+                break;
+            boxes.push(box);
+            offset = box.end;
+        }
+
+        return boxes;
+    }
+
+    // length of the complete chunks at the start of data. progressively
+    // downloaded media is split after each complete mdat, so each chunk's
+    // moof (and preceding boxes, e.g styp or emsg) is kept with its media.
+    static completeLength(data) {
+        let length = 0;
+        for (let box of Box.parseAll(data)) {
+            if (box.type == 'mdat')
+                length = box.end;
+        }
+        return length;
+    }
+
+    static find(data, type) {
+        return Box.parseAll(data).find((box) => box.type == type);
+    }
+
+    // container boxes (moov, moof, traf etc.) hold child boxes directly after
+    // their header
+    children(type = undefined) {
+        let boxes = Box.parseAll(this.view, this.contentOffset, this.end);
+        if (type == undefined)
+            return boxes;
+        return boxes.filter((box) => box.type == type);
+    }
+
+    child(type) {
+        return this.children(type)[0];
+    }
+
+    get contentOffset() {
+        return this.offset + this.headerSize;
+    }
+
+    // full boxes prefix their content with an 8 bit version and 24 bit flags
+    get version() {
+        return this.view.getUint8(this.contentOffset);
+    }
+
+    get flags() {
+        return this.view.getUint32(this.contentOffset) & 0xffffff;
+    }
+}
+
+
+// --------------------------------------------------
+// segment index (sidx) - ISO/IEC 14496-12 8.16.3
+// --------------------------------------------------
+// references are returned with offsets relative to the start of the file the
+// box was read from. fileOffset is the position in that file of the first
+// byte of the data the box was parsed from (i.e the start of an indexRange).
+class SegmentIndexBox {
+    constructor(box, fileOffset) {
+        let view = box.view;
+        let offset = box.contentOffset + 4;
+
+        this.referenceID = view.getUint32(offset);
+        this.timescale   = view.getUint32(offset + 4);
+        offset += 8;
+
+        if (box.version == 0) {
+            this.earliestPresentationTime = view.getUint32(offset);
+            this.firstOffset = view.getUint32(offset + 4);
+            offset += 8;
+        } else {
+            this.earliestPresentationTime = Box.uint64(view, offset);
+            this.firstOffset = Box.uint64(view, offset + 8);
+            offset += 16;
+        }
+
+        // skip 16 reserved bits
+        let count = view.getUint16(offset + 2);
+        offset += 4;
+
+        // the first referenced byte follows the sidx box, offset by firstOffset
+        let position = fileOffset + box.end + this.firstOffset;
+        let time = this.earliestPresentationTime;
+        this.references = [];
+
+        for (let i = 0; i < count; i++) {
+            let typeAndSize = view.getUint32(offset);
+            let duration    = view.getUint32(offset + 4);
+            let sap         = view.getUint32(offset + 8);
+            let size        = typeAndSize & 0x7fffffff;
+            offset += 12;
+
+            this.references.push({
+                hierarchical:   (typeAndSize >>> 31) == 1,
+                size,
+                duration,
+                time,
+                startsWithSAP:  (sap >>> 31) == 1,
+                rangeStart:     position,
+                rangeEnd:       position + size - 1
+            });
+
+            position += size;
+            time += duration;
+        }
+    }
+}
+
+
+// --------------------------------------------------
+// movie fragments (moof/mdat) - ISO/IEC 14496-12 8.8
+// --------------------------------------------------
+// extract the samples of the first track fragment in a media segment. times
+// and durations are in the track's timescale; data is a view of the sample's
+// bytes within the segment.
+class FragmentSamples {
+    constructor(data) {
+        this.samples = [];
+
+        let view = new DataView(data);
+        let moof = Box.find(view, 'moof');
+        let mdat = Box.find(view, 'mdat');
+        if (!moof || !mdat)
+            return;
+
+        let traf = moof.child('traf');
+        if (!traf)
+            return;
+
+        // defaults for samples come from the track fragment header
+        let tfhd = this.parseHeader(traf.child('tfhd'));
+        let time = this.parseDecodeTime(traf.child('tfdt'));
+
+        // sample data offsets are relative to the start of the moof unless
+        // a base data offset is provided
+        let base = (tfhd.baseDataOffset != undefined) ?
+                        tfhd.baseDataOffset : moof.offset;
+
+        for (let trun of traf.children('trun')) {
+            let run = this.parseRun(trun, tfhd);
+            let offset = (run.dataOffset != undefined) ?
+                            base + run.dataOffset : mdat.contentOffset;
+
+            for (let sample of run.samples) {
+                // samples without a size extend to the end of the mdat
+                let size = sample.size || (mdat.end - offset);
+                size = Math.min(size, view.byteLength - offset);
+                this.samples.push({
+                    time,
+                    duration:   sample.duration,
+                    data:       new Uint8Array(data, offset, Math.max(size, 0))
+                });
+
+                time += sample.duration;
+                offset += size;
+            }
+        }
+    }
+
+    parseHeader(tfhd) {
+        let header = {};
+        if (!tfhd)
+            return header;
+
+        let view = tfhd.view;
+        let flags = tfhd.flags;
+        let offset = tfhd.contentOffset + 8;    // version, flags, track_ID
+
+        if (flags & 0x01) {
+            header.baseDataOffset = Box.uint64(view, offset);
+            offset += 8;
+        }
+        if (flags & 0x02)
+            offset += 4;                        // sample_description_index
+        if (flags & 0x08) {
+            header.defaultDuration = view.getUint32(offset);
+            offset += 4;
+        }
+        if (flags & 0x10)
+            header.defaultSize = view.getUint32(offset);
+
+        return header;
+    }
+
+    parseDecodeTime(tfdt) {
+        if (!tfdt)
+            return 0;
+        let offset = tfdt.contentOffset + 4;
+        if (tfdt.version == 1)
+            return Box.uint64(tfdt.view, offset);
+        return tfdt.view.getUint32(offset);
+    }
+
+    parseRun(trun, tfhd) {
+        let view = trun.view;
+        let flags = trun.flags;
+        let offset = trun.contentOffset + 4;
+        let count = view.getUint32(offset);
+        let run = {samples: []};
+        offset += 4;
+
+        if (flags & 0x01) {
+            run.dataOffset = view.getInt32(offset);
+            offset += 4;
+        }
+        if (flags & 0x04)
+            offset += 4;                        // first_sample_flags
+
+        for (let i = 0; i < count; i++) {
+            let sample = {
+                duration:   tfhd.defaultDuration || 0,
+                size:       tfhd.defaultSize || 0
+            };
+
+            if (flags & 0x100) {
+                sample.duration = view.getUint32(offset);
+                offset += 4;
+            }
+            if (flags & 0x200) {
+                sample.size = view.getUint32(offset);
+                offset += 4;
+            }
+            if (flags & 0x400)
+                offset += 4;                    // sample_flags
+            if (flags & 0x800)
+                offset += 4;                    // composition time offset
+
+            run.samples.push(sample);
+        }
+
+        return run;
+    }
+}
+
+
+// --------------------------------------------------
+// event messages (emsg) - ISO/IEC 23009-1 5.10.3.3
+// --------------------------------------------------
+// version 0 boxes time events relative to the earliest presentation time of
+// the segment containing them (timeDelta). version 1 boxes provide a time on
+// the media timeline. times and durations are in the box's timescale.
+class EventMessageBox {
+    constructor(box) {
+        let view = box.view;
+        let offset = box.contentOffset + 4;
+        this.version = box.version;
+
+        if (this.version == 0) {
+            [this.schemeIdUri, offset] = this.readString(view, offset, box.end);
+            [this.value, offset] = this.readString(view, offset, box.end);
+            this.timescale  = view.getUint32(offset);
+            this.timeDelta  = view.getUint32(offset + 4);
+            this.duration   = view.getUint32(offset + 8);
+            this.id         = view.getUint32(offset + 12);
+            offset += 16;
+        } else {
+            this.timescale  = view.getUint32(offset);
+            this.time       = Box.uint64(view, offset + 4);
+            this.duration   = view.getUint32(offset + 12);
+            this.id         = view.getUint32(offset + 16);
+            offset += 20;
+            [this.schemeIdUri, offset] = this.readString(view, offset, box.end);
+            [this.value, offset] = this.readString(view, offset, box.end);
+        }
+
+        // 0xffffffff indicates an unknown duration
+        if (this.duration == 0xffffffff)
+            this.duration = undefined;
+
+        this.messageData = new Uint8Array(
+            view.buffer,
+            view.byteOffset + offset,
+            Math.max(box.end - offset, 0)
+        );
+    }
+
+    // null terminated utf-8 strings. returns the string and the offset
+    // following the terminator.
+    readString(view, offset, end) {
+        let start = offset;
+        while (offset < end && view.getUint8(offset) != 0)
+            offset += 1;
+
+        let bytes = new Uint8Array(view.buffer, view.byteOffset + start, offset - start);
+        return [decodeUTF8(bytes), offset + 1];
+    }
+}
@@ -19,6 +19,7 @@ export class Manifest extends Model {
             minimumUpdatePeriod:        duration,
             minBufferTime:              duration,
             availabilityStartTime:      date,
+            availabilityEndTime:        date,
             profiles:                   str,
             type:                       str
         });
@@ -36,6 +37,7 @@ export class Manifest extends Model {
             this.minBufferTime = DEFAULT_MIN_BUFFER_TIME;
 
         this.init(BaseURL);
+        this.initAll(UTCTiming);
         this.initAll(Period);
     }
 
@@ -52,6 +54,41 @@ export class Manifest extends Model {
         
         return this._base;
     }
+
+    // main live presentations may signal manifest updates in emsg boxes,
+    // listed as InbandEventStreams of the mpd event scheme
+    get signalsInbandUpdates() {
+        return this.periods.some((period) =>
+            period.adaptationSets.some((adaptationSet) =>
+                adaptationSet.representations.some((representation) =>
+                    representation.eventStreams.some((stream) =>
+                        stream.schemeIdUri == MPD_EVENT_SCHEME
+                    )
+                )
+            )
+        );
+    }
+}
+
+// UTCTiming elements describe how clients can synchronise their clock with
+// the server's. schemes are of the form urn:mpeg:dash:utc:<kind>:<year>.
+var UTC_TIMING_SCHEME = /^urn:mpeg:dash:utc:([a-z-]+):(2012|2014)$/;
+var SUPPORTED_UTC_TIMINGS = ['http-iso', 'http-xsdate', 'http-head', 'direct'];
+
+export class UTCTiming extends Model {
+    setup() {
+        this.attrs({
+            schemeIdUri:    str,
+            value:          str
+        });
+
+        let match = (this.schemeIdUri || '').match(UTC_TIMING_SCHEME);
+        this.kind = match ? match[1] : undefined;
+    }
+
+    get supported() {
+        return SUPPORTED_UTC_TIMINGS.indexOf(this.kind) > -1;
+    }
 }
 
 export class BaseURL extends Model {
@@ -74,13 +111,181 @@ export class Period extends Model {
             duration:   duration
         });
 
+        this.init(BaseURL);
+        this.init(SegmentBase);
         this.init(SegmentList);
         this.init(SegmentTemplate);
+        this.initAll(EventStream);
         this.initAll(AdaptationSet);
     }
 }
 
 
+// --------------------------------------------------
+// events
+// --------------------------------------------------
+// EventStreams in a period list timed events (e.g ad markers). event times
+// are relative to the period start, in the stream's timescale, offset by
+// presentationTimeOffset. InbandEventStreams signal that segments of an
+// adaptation set or representation carry events of a scheme in emsg boxes.
+export class EventStream extends Model {
+    setup() {
+        this.attrs({
+            schemeIdUri:            str,
+            value:                  str,
+            timescale:              integer,
+            presentationTimeOffset: integer
+        });
+
+        if (this.timescale == undefined)
+            this.timescale = 1;
+
+        if (this.presentationTimeOffset == undefined)
+            this.presentationTimeOffset = 0;
+
+        this.initAll(EventElement);
+    }
+}
+
+export class EventElement extends Model {
+    static get elementName() {
+        return 'Event';
+    }
+
+    setup() {
+        this.attrs({
+            presentationTime:   integer,
+            duration:           integer,
+            id:                 str,
+            messageData:        str
+        });
+
+        if (this.presentationTime == undefined)
+            this.presentationTime = 0;
+
+        // the message is either the messageData attribute, or the content of
+        // the element. xml content (e.g scte35 signals) is kept as markup.
+        if (this.messageData == undefined)
+            this.messageData = this.content();
+    }
+
+    content() {
+        let elements = [].slice.call(this.xml.childNodes).filter((node) =>
+            node.nodeType == 1
+        );
+
+        if (elements.length == 0)
+            return this.xml.textContent.trim();
+
+        let serializer = new XMLSerializer();
+        return elements.map((node) => serializer.serializeToString(node)).join('');
+    }
+}
+
+
+// --------------------------------------------------
+// descriptors
+// --------------------------------------------------
+// descriptors annotate adaptation sets with a scheme and value. the role of
+// an adaptation set (main, alternate, commentary etc.) is described by a Role
+// with the urn:mpeg:dash:role:2011 scheme. an EssentialProperty must be
+// understood to use the element it appears in; a SupplementalProperty may be
+// ignored.
+var ROLE_SCHEME = 'urn:mpeg:dash:role:2011';
+
+export class Descriptor extends Model {
+    setup() {
+        this.attrs({
+            schemeIdUri:    str,
+            value:          str,
+            id:             str
+        });
+    }
+}
+
+export class Role extends Descriptor {
+    get dashRole() {
+        return this.schemeIdUri == ROLE_SCHEME;
+    }
+}
+
+export class Accessibility extends Descriptor {}
+export class Rating extends Descriptor {}
+export class Viewpoint extends Descriptor {}
+export class EssentialProperty extends Descriptor {
+    // the first EssentialProperty of an adaptation set or representation
+    // with a scheme not in supportedSchemes
+    static unsupported(element, supportedSchemes) {
+        return element.essentialProperties.find((property) =>
+            supportedSchemes.indexOf(property.schemeIdUri) == -1
+        );
+    }
+}
+export class SupplementalProperty extends Descriptor {}
+export class InbandEventStream extends Descriptor {}
+
+// emsg boxes of this scheme signal the manifest has changed (value 1), or
+// carry a patch (2) or the new manifest (3). each is handled by reloading.
+var MPD_EVENT_SCHEME = 'urn:mpeg:dash:event:2012';
+
+// content protection descriptors identify the encryption scheme (the
+// mp4protection scheme, carrying the default key id) or a key system by uuid.
+// key system descriptors may carry a pssh box used to request a license.
+var MP4_PROTECTION_SCHEME = 'urn:mpeg:dash:mp4protection:2011';
+var KEY_SYSTEM_SCHEMES = {
+    'urn:uuid:e2719d58-a985-b3c9-781a-b030af78d30e': 'org.w3.clearkey',
+    'urn:uuid:1077efec-c0b2-4d02-ace3-3c1e52e2fb4b': 'org.w3.clearkey',
+    'urn:uuid:edef8ba9-79d6-4ace-a3c8-27dcd51d21ed': 'com.widevine.alpha',
+    'urn:uuid:9a04f079-9840-4286-ab92-e65be0885f95': 'com.microsoft.playready'
+};
+
+export class ContentProtection extends Descriptor {
+    setup() {
+        super.setup();
+
+        // key ids are uuids; they're stored as lower case hex without dashes
+        let kid = this.attr('cenc:default_KID');
+        this.defaultKID = kid ? kid.replace(/-/g, '').toLowerCase() : undefined;
+
+        let pssh = this.childText('pssh');
+        this.pssh = pssh ? base64Bytes(pssh) : undefined;
+
+        // license server urls may be provided for clear key
+        this.licenseURL = this.childText('Laurl') || this.childText('laurl');
+    }
+
+    // namespaced children (cenc:pssh, dashif:laurl) are matched by local name
+    childText(localName) {
+        for (let node of [].slice.call(this.xml.childNodes)) {
+            if (node.nodeType == 1 && node.localName == localName)
+                return node.textContent.trim();
+        }
+        return undefined;
+    }
+
+    get mp4Protection() {
+        return (this.schemeIdUri || '').toLowerCase() == MP4_PROTECTION_SCHEME;
+    }
+
+    // EME key system name, e.g org.w3.clearkey
+    get keySystem() {
+        return KEY_SYSTEM_SCHEMES[(this.schemeIdUri || '').toLowerCase()];
+    }
+}
+
+// labels are human readable descriptions of an adaptation set
+export class Label extends Model {
+    setup() {
+        this.attrs({
+            id:     str,
+            lang:   str
+        });
+
+        this.text = this.xml.textContent.trim();
+    }
+}
+
+
 // --------------------------------------------------
 // adaptation sets
 // --------------------------------------------------
@@ -123,7 +328,18 @@ export class AdaptationSet extends Model {
 
         this.index = AdaptationSet.nextIndex();
 
+        this.initAll(Role);
+        this.initAll(Accessibility);
+        this.initAll(Rating);
+        this.initAll(Viewpoint);
+        this.initAll(Label);
+        this.initAll(EssentialProperty);
+        this.initAll(SupplementalProperty);
+        this.initAll(ContentProtection);
+        this.initAll(InbandEventStream);
         this.initAll(ContentComponent);
+        this.init(BaseURL);
+        this.init(SegmentBase);
         this.init(SegmentList);
         this.init(SegmentTemplate);
         this.initAll(Representation);
@@ -135,6 +351,22 @@ export class AdaptationSet extends Model {
         this._nextIndex += 1;
         return this._nextIndex;
     }
+
+    // value of the first dash scheme Role, e.g 'main' or 'commentary'
+    get role() {
+        let role = this.roles.find((role) => role.dashRole);
+        return role ? role.value : undefined;
+    }
+
+    get label() {
+        return this.labels.length > 0 ? this.labels[0].text : undefined;
+    }
+
+    get mediaContentType() {
+        if (this.representations.length == 0)
+            return this.contentType;
+        return this.representations[0].mediaContentType;
+    }
 }
 
 export class ContentComponent extends Model {
@@ -148,6 +380,7 @@ export class ContentComponent extends Model {
     }
 }
 
+
 export class Representation extends Model {
     setup() {
         this.attrs(commonAttributes, {
@@ -158,9 +391,13 @@ export class Representation extends Model {
             mediaStreamStructureId: str
         });
 
-        // TODO: SegmentBase
         this.initAll(SubRepresentation);
+        this.initAll(EssentialProperty);
+        this.initAll(SupplementalProperty);
+        this.initAll(ContentProtection);
+        this.initAll(InbandEventStream);
         this.init(BaseURL);
+        this.init(SegmentBase);
         this.init(SegmentList);
         this.init(SegmentTemplate);
         this.inherit(AdaptationSet, Object.keys(commonAttributes));
@@ -185,9 +422,64 @@ export class Representation extends Model {
         if (this.segmentList != undefined && this.segmentList.parent != this)
             this.segmentList = new SegmentList(this.segmentList, this);
 
-        // representations must have some segments
-        if (this.segmentTemplate == undefined && this.segmentList == undefined)
-            throw 'Representation must currently have a SegmentTemplate or SegmentList, or one must appear in ancestry';
+        // on demand profile representations address a single file with byte
+        // ranges. the same inheritance rules apply to segment bases.
+        this.inherit(AdaptationSet, ['segmentBase']);
+        this.inherit(Period, ['segmentBase']);
+
+        if (this.segmentBase != undefined && this.segmentBase.parent != this)
+            this.segmentBase = new SegmentBase(this.segmentBase, this);
+
+        // representations must have some segments. text representations
+        // may instead be a single sidecar file referenced by a BaseURL.
+        if (this.sidecar && this.mediaContentType != 'text')
+            throw 'Representation must have a SegmentTemplate, SegmentList or SegmentBase, or one must appear in ancestry';
+    }
+
+    // representation ids are only unique within a period. the key identifies
+    // a representation across the presentation.
+    get key() {
+        let period = this.ancestor(Period);
+        return `${period ? period.id : ''}/${this.id}`;
+    }
+
+    get sidecar() {
+        return this.segmentTemplate == undefined &&
+                this.segmentList == undefined &&
+                this.segmentBase == undefined;
+    }
+
+    // url of the single media file used by SegmentBase representations.
+    // each BaseURL is relative to its ancestors', so they're resolved in
+    // turn from the manifest's base url down to the representation.
+    get mediaURL() {
+        let baseURLs = [];
+        for (let obj = this; obj && !(obj instanceof Manifest); obj = obj.parent) {
+            if (obj.baseURL)
+                baseURLs.unshift(obj.baseURL);
+        }
+
+        let url = this.ancestor(Manifest).base();
+        for (let baseURL of baseURLs)
+            url = baseURL.absoluteTo(url);
+        return url;
+    }
+
+    // content protection applies to all representations of an adaptation set
+    get protections() {
+        if (this.contentProtections.length > 0)
+            return this.contentProtections;
+
+        let adaptationSet = this.ancestor(AdaptationSet);
+        return adaptationSet ? adaptationSet.contentProtections : [];
+    }
+
+    // inband event schemes signalled by the representation or its
+    // adaptation set
+    get eventStreams() {
+        let adaptationSet = this.ancestor(AdaptationSet);
+        let inherited = adaptationSet ? adaptationSet.inbandEventStreams : [];
+        return this.inbandEventStreams.concat(inherited);
     }
 
     get mseType() {
@@ -197,6 +489,28 @@ export class Representation extends Model {
     get mimeContentType() {
         return this.mimeType.split('/')[0];
     }
+
+    // video, audio or text. text may be carried as plain webvtt or ttml files
+    // (text/vtt, application/ttml+xml), or wrapped in mp4 (application/mp4
+    // with stpp or wvtt codecs).
+    get mediaContentType() {
+        if (this.textFormat != undefined)
+            return 'text';
+        return this.mimeContentType;
+    }
+
+    get textFormat() {
+        let codecs = this.codecs || '';
+        if (this.mimeType == 'text/vtt' || codecs.startsWith('wvtt'))
+            return 'vtt';
+        if (this.mimeType == 'application/ttml+xml' || codecs.startsWith('stpp'))
+            return 'ttml';
+        return undefined;
+    }
+
+    get textInMP4() {
+        return this.mimeType == 'application/mp4';
+    }
 }
 
 export class SubRepresentation extends Model {
@@ -224,7 +538,9 @@ export class SegmentTemplate extends Model {
             startNumber:        integer,
             timescale:          integer,
             duration:           integer, 
-            presentationTimeOffset: integer
+            presentationTimeOffset: integer,
+            availabilityTimeOffset: dbl,
+            availabilityTimeComplete: bool
         });
 
         this.init(SegmentTimeline);
@@ -244,6 +560,15 @@ export class SegmentTemplate extends Model {
 
         if (this.presentationTimeOffset == undefined)
             this.presentationTimeOffset = 0;
+
+        // low latency segments become available availabilityTimeOffset
+        // seconds before they're complete. when availabilityTimeComplete is
+        // false they're transferred in chunks as they're produced.
+        if (this.availabilityTimeOffset == undefined)
+            this.availabilityTimeOffset = 0;
+
+        if (this.availabilityTimeComplete == undefined)
+            this.availabilityTimeComplete = true;
     }
 
     postSetup() {
@@ -313,14 +638,73 @@ export class S extends Model {
 }
 
 
+// --------------------------------------------------
+// base segments
+// --------------------------------------------------
+// SegmentBase is used by the on demand profile. segments are subsegments of a
+// single file, described by a sidx box found at indexRange in that file.
+export class SegmentBase extends Model {
+    setup() {
+        this.attrs({
+            timescale:              integer,
+            presentationTimeOffset: integer,
+            indexRange:             str,
+            indexRangeExact:        bool
+        });
+
+        this.init(Initialization);
+
+        // inherit attributes from SegmentBases in Periods and AdaptationSets
+        let attrNames = Object.keys(this.attributeDefinitions);
+        this.inheritFrom(AdaptationSet, 'segmentBase', attrNames);
+        this.inheritFrom(Period, 'segmentBase', attrNames);
+
+        if (this.initialization == undefined) {
+            let adaptationSet = this.ancestor(AdaptationSet);
+            if (adaptationSet)
+                this.initialization = adaptationSet.try('segmentBase.initialization');
+
+            let period = this.ancestor(Period);
+            if (period && !this.initialization)
+                this.initialization = period.try('segmentBase.initialization');
+        }
+
+        if (this.timescale == undefined)
+            this.timescale = 1;
+
+        if (this.presentationTimeOffset == undefined)
+            this.presentationTimeOffset = 0;
+    }
+
+    // byte offsets of the sidx box. indexRange is "first-last" inclusive.
+    get indexStart() {
+        return parseInt(this.indexRange.split('-')[0], 10);
+    }
+
+    get indexEnd() {
+        return parseInt(this.indexRange.split('-')[1], 10);
+    }
+
+    // when no Initialization range is provided, the init segment is assumed
+    // to be the bytes preceding the index, which is how most packagers lay
+    // out on demand files (ftyp, moov, sidx, moof, mdat...)
+    get initializationRange() {
+        if (this.initialization && this.initialization.range)
+            return this.initialization.range;
+        return `0-${this.indexStart - 1}`;
+    }
+}
+
+
 // --------------------------------------------------
 // list segments
 // --------------------------------------------------
 export class SegmentList extends Model {
     setup() {
         this.attrs({
-            timescale:      integer,
-            duration:       integer
+            timescale:              integer,
+            duration:               integer,
+            presentationTimeOffset: integer
         });
 
         this.init(Initialization);
@@ -343,6 +727,12 @@ export class SegmentList extends Model {
             if (period && !this.initialization)
                 this.initialization = period.try('segmentList.initialization');
         }
+
+        if (this.timescale == undefined)
+            this.timescale = 1;
+
+        if (this.presentationTimeOffset == undefined)
+            this.presentationTimeOffset = 0;
     }
 }
 
@@ -377,7 +767,7 @@ export class Initialization extends Model {
     setup() {
         this.attrs({
             sourceURL:      str,
-            range:          integer
+            range:          str
         });
     }
 }
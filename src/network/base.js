@@ -64,6 +64,20 @@ class IdentityBase {
     mutate(uri) {
         return uri;
     }
+
+    failed() {
+    }
+};
+
+
+// requests for resources outside the presentation (e.g time servers) aren't
+// balanced between bases or transformed, and are attempted once
+class DirectBaseManager {
+    nextBase(attempted) {
+        if (attempted.length > 0)
+            return null;
+        return new IdentityBase();
+    }
 };
 
 
@@ -134,8 +148,11 @@ class BaseManager {
         // that are relative to a manifest's base url they can't be used yet.
         // the IdentityBase is used to simply return the mpd's url in response
         // to the mutate function.
-        if (this.controller.presentation.manifest == null)
+        if (this.controller.presentation.manifest == null) {
+            if (attempted.length > 0)
+                return null;
             return new IdentityBase();
+        }
 
         // after the initial mpd is loaded a base url can be generated (either
         // from a BaseURL element, or the url of the mpd itself). if the
@@ -148,6 +165,10 @@ class BaseManager {
             this.bases.push(generated);
             return generated;
         } else if (numBases == 1) {
+            // a single base is always used, even when offline, but only once
+            // per download. retrying is left to the download's processor.
+            if (attempted.indexOf(this.bases[0]) > -1)
+                return null;
             return this.bases[0];
         }
 
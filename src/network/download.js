@@ -17,6 +17,11 @@ class Download {
         this.attempted = [];
         this.lastResponse = 'error';
         this.lastXHR = null;
+
+        // progressive downloads are streamed, and the response passed to the
+        // processor in chunks as it arrives
+        this.progressive = Boolean(options.progressive);
+        this.chunked = false;
         this.perform();
     }
 
@@ -40,12 +45,7 @@ class Download {
         // available, fire the last response back to the processor
         let base = this.baseManager.nextBase(this.attempted);
         if (base == null) {
-            this.processor[this.lastResponse](this.lastXHR);
-            if (this.lastResponse == 'error')
-                this.state = Download.error;
-            else
-                this.state = Download.timeout;
-            this.cleanup();
+            this.fail();
             return;
         }
 
@@ -53,10 +53,30 @@ class Download {
         // to the base. base is added to the attempted list to prevent trying
         // the same base more than once for a download.
         this.attempted.push(base);
+
+        // a request filter which throws fails the download; another base
+        // wouldn't be treated any differently. the failure is reported once
+        // the download has been returned, rather than from its constructor.
+        let request;
+        try {
+            request = this.filterRequest(base.mutate(this.uri));
+        } catch (e) {
+            console.error(`request filter failed for ${this.uri}: ${e}`);
+            Promise.resolve().then(() => this.filterFailed());
+            return;
+        }
+
+        let options = Object.assign({}, this.options, {
+            method:             request.method,
+            headers:            request.headers,
+            withCredentials:    request.withCredentials
+        });
+
+        let RequestType = this.options.fetch ? FetchRequest : Request;
         this.requests.push(
-            new Request().start(
-                base.mutate(this.uri),
-                this.options,
+            new RequestType().start(
+                request.uri,
+                options,
                 this
             )
         );
@@ -66,9 +86,27 @@ class Download {
         this.attempted[this.attempted.length - 1].failed();
         this.lastResponse = response;
         this.lastXHR = xhr;
+
+        // a progressive download which has passed part of its response to
+        // the processor can't continue from another base. the failure is
+        // reported so the processor can restart from the beginning.
+        if (this.chunked) {
+            this.fail();
+            return;
+        }
+
         this.perform();
     }
 
+    fail() {
+        this.processor[this.lastResponse](this.lastXHR);
+        if (this.lastResponse == 'error')
+            this.state = Download.error;
+        else
+            this.state = Download.timeout;
+        this.cleanup();
+    }
+
     error(xhr) {
         this.reattempt('error', xhr);
     }
@@ -77,13 +115,117 @@ class Download {
         this.reattempt('timeout', xhr);
     }
 
+    // chunks of progressive downloads are passed on as they're read
+    chunk(bytes) {
+        this.chunked = true;
+        this.processor.chunk(bytes);
+    }
+
     success(xhr) {
+        if (this.options.responseFilters.length == 0 || this.progressive) {
+            this.complete(xhr);
+            return;
+        }
+
+        // response filters may return promises, e.g to decrypt the payload.
+        // the download remains in progress (and can be cancelled) until
+        // they've all completed.
+        let response = this.responseFor(xhr);
+        let data = response.data;
+
+        this.options.responseFilters.reduce(
+            (previous, filter) => previous.then(() => filter(response)),
+            Promise.resolve()
+        ).then(() => {
+            if (this.state != Download.inprogress)
+                return;
+
+            if (response.data === data)
+                this.complete(xhr);
+            else
+                this.complete(this.xhrWith(xhr, response.data));
+        }).catch((e) => {
+            if (this.state != Download.inprogress)
+                return;
+
+            console.error(`response filter failed for ${this.uri}: ${e}`);
+            this.filterFailed(xhr);
+        });
+    }
+
+    complete(xhr) {
         this.state = Download.success;
         this.processor.success(xhr);
         this.cleanup();
     }
 
 
+    // ---------------------------
+    // filters
+    // ---------------------------
+    // request filters are called before each request, including retries on
+    // other bases, with a description of the request. filters may change
+    // the uri (e.g to sign it), method, headers and credentials.
+    filterRequest(uri) {
+        let request = {
+            type:               RequestProcessor.types[this.type],
+            uri,
+            method:             this.options.method || 'GET',
+            headers:            Object.assign({}, this.options.headers),
+            withCredentials:    false
+        };
+
+        for (let filter of this.options.requestFilters)
+            filter(request);
+
+        return request;
+    }
+
+    // response filters are called with the response before it's passed to
+    // the processor, and may replace its data. progressive downloads are
+    // passed to the processor as they arrive and aren't filtered.
+    responseFor(xhr) {
+        return {
+            type:               RequestProcessor.types[this.type],
+            uri:                xhr.responseURL || this.uri,
+            status:             xhr.status,
+            data:               xhr.response,
+            getResponseHeader:  (name) => xhr.getResponseHeader(name)
+        };
+    }
+
+    // an xhr-like view of a response whose data was replaced by a filter
+    xhrWith(xhr, data) {
+        let text = (typeof data == 'string') ? data : null;
+        let xml = (this.options.mimeType == 'text/xml') ? parseXMLResponse(text) : null;
+
+        return {
+            status:             xhr.status,
+            responseURL:        xhr.responseURL,
+            response:           data,
+            responseText:       text,
+            responseXML:        xml,
+            getResponseHeader:  (name) => xhr.getResponseHeader(name)
+        };
+    }
+
+    // filter failures are reported to the processor as errors. they'd fail
+    // again if retried, so are marked with filterFailed.
+    filterFailed(xhr = null) {
+        if (this.state != Download.inprogress)
+            return;
+
+        this.state = Download.error;
+        this.processor.error({
+            status:             xhr ? xhr.status : 0,
+            responseURL:        xhr ? xhr.responseURL : undefined,
+            getResponseHeader:  (name) => xhr ? xhr.getResponseHeader(name) : null,
+            filterFailed:       true
+        });
+        this.cleanup();
+    }
+
+
     // ---------------------------
     // proxy methods
     // ---------------------------
@@ -104,13 +246,37 @@ class Download {
         return this.proxy('duration');
     }
 
+    // progressive downloads last as long as the media takes to produce,
+    // so are measured by the bursts it arrives in
     speed() {
+        if (this.progressive)
+            return this.proxy('burstSpeed', undefined);
         return this.proxy('speed');
     }
 
+    // transfer timings of the latest request, used to measure downloads
+    // which overlap
+    transfer() {
+        let latest = this.requests[this.requests.length - 1];
+        return {
+            start:  latest.downloadStart,
+            end:    latest.downloadEnd,
+            size:   latest.totalSize
+        };
+    }
+
     destruct() {
         this.proxy('destruct');
     }
+
+    // abort an in progress download without notifying the processor
+    cancel() {
+        if (this.state != Download.inprogress)
+            return;
+        this.destruct();
+        this.state = Download.cancelled;
+        this.cleanup();
+    }
 };
 
 // ---------------------------
@@ -122,3 +288,4 @@ Download.inprogress = 0;
 Download.success = 1;
 Download.timeout = 2;
 Download.error = 3;
+Download.cancelled = 4;
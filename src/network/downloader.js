@@ -7,6 +7,16 @@ class Downloader {
         this.historyLength   = controller.options.downloadHistory;
         this.mpdTimeout      = controller.options.mpdTimeout;
         this.baseManager     = new BaseManager(controller);
+        this.directBases     = new DirectBaseManager();
+
+        // the fetch backend is used when selected and supported by the
+        // browser; progressive downloads always use it
+        this.useFetch        = controller.options.requestBackend == 'fetch' &&
+                                FetchRequest.supported;
+
+        // app hooks called with each request and response, e.g to sign urls
+        this.requestFilters  = controller.options.requestFilters;
+        this.responseFilters = controller.options.responseFilters;
     }
 
     destruct() {
@@ -47,23 +57,46 @@ class Downloader {
         });
     }
 
-    getMedia(uri, range, processor) {
-        this.get(uri, processor, {
+    getMedia(uri, range, processor, progressive = false) {
+        return this.get(uri, processor, {
             range,
+            progressive,
             responseType: 'arraybuffer'
         });
     }
 
-    get(uri, processor, options) {
+    // time server requests use the url as is, rather than relative to a base
+    getTiming(uri, method, processor) {
+        return this.get(uri, processor, {
+            method,
+            timeout: this.mpdTimeout
+        }, this.directBases);
+    }
+
+    // license requests post a key system message to a license server
+    getLicense(uri, body, headers, processor) {
+        return this.get(uri, processor, {
+            method: 'POST',
+            body,
+            headers,
+            responseType: 'arraybuffer'
+        }, this.directBases);
+    }
+
+    get(uri, processor, options, baseManager = this.baseManager) {
+        options.fetch = this.useFetch || Boolean(options.progressive);
+        options.requestFilters = this.requestFilters;
+        options.responseFilters = this.responseFilters;
         this.truncateHistory();
-        this.downloadHistory.push(
-            new Download(
-                uri,
-                processor,
-                this.baseManager,
-                options
-            )
+        let download = new Download(
+            uri,
+            processor,
+            baseManager,
+            options
         );
+
+        this.downloadHistory.push(download);
+        return download;
     }
 
 
@@ -71,19 +104,66 @@ class Downloader {
     // history
     // ---------------------------
     valueHistory(attr, type) {
+        let values = this.successful(type).map((download) => download[attr]());
+        return this.summarise(values);
+    }
+
+    // segments of a source are downloaded in parallel, alongside other
+    // sources, so each request's speed is only its share of the link.
+    // downloads overlapping in time are measured together: their total
+    // size over the time from the first starting to the last finishing.
+    // progressive downloads are measured by their bursts (burstSpeed).
+    speedHistory(type = null) {
+        let downloads = this.successful(type);
+        let samples = [];
+        let group = null;
+
+        let transfers = downloads.filter((download) => !download.progressive)
+                                 .map((download) => download.transfer())
+                                 .sort((a, b) => a.start - b.start);
+
+        for (let transfer of transfers) {
+            if (group && transfer.start < group.end) {
+                group.size += transfer.size;
+                group.end = Math.max(group.end, transfer.end);
+            } else {
+                group = Object.assign({}, transfer);
+                samples.push(group);
+            }
+        }
+
+        let speeds = samples.map((sample) => ({
+            start: sample.start,
+            speed: sample.size / (sample.end - sample.start)
+        }));
+
+        for (let download of downloads) {
+            if (download.progressive)
+                speeds.push({start: download.transfer().start, speed: download.speed()});
+        }
+
+        speeds.sort((a, b) => a.start - b.start);
+        return this.summarise(speeds.map((sample) => sample.speed));
+    }
+
+    successful(type) {
+        return this.downloadHistory.filter((download) =>
+            download.state == Download.success &&
+            (!type || download.type == type)
+        );
+    }
+
+    // values are smoothed, weighting recent values (later in the list)
+    summarise(values) {
         let SMOOTHING = 0.1;
         let min = undefined;
         let max = undefined;
         let avg = undefined;
 
-        this.downloadHistory.forEach((download) => {
-            if (download.state != Download.success)
-                return;
-
-            if (type && download.type != type)
-                return;
-
-            let value = download[attr]();
+        for (let value of values) {
+            // e.g progressive downloads without a burst of chunks to measure
+            if (value == undefined || !Number.isFinite(value))
+                continue;
 
             if (avg == undefined)
                 avg = value;
@@ -95,15 +175,11 @@ class Downloader {
 
             if (value > max || max == undefined)
                 max = value;
-        });
+        }
 
         return {min, avg, max};
     }
 
-    speedHistory(type = null) {
-        return this.valueHistory('speed', type);
-    }
-
     latencyHistory(type = null) {
         return this.valueHistory('latency', type);
     }
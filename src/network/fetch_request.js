@@ -0,0 +1,173 @@
+// --------------------------------------------------
+// streaming request
+// --------------------------------------------------
+// fetch requests read the response body as a stream, recording the size and
+// time of each chunk as it arrives. progressive downloads (e.g low latency
+// segments, transferred while they're still being produced) are passed each
+// chunk as it's read; otherwise the body is collected and the processor is
+// called once it's complete. processors are passed an object with the parts
+// of the xhr interface they use, so the same callbacks serve both backends.
+class FetchRequest extends Request {
+    static get supported() {
+        return window.fetch != undefined &&
+                window.ReadableStream != undefined &&
+                window.AbortController != undefined;
+    }
+
+    start(uri, options, download) {
+        let headers = {};
+        if (options.range)
+            headers['Range'] = `bytes=${options.range}`;
+        if (options.headers)
+            Object.assign(headers, options.headers);
+
+        this.aborter = new AbortController();
+        this.timedOut = false;
+        this.chunks = [];
+
+        // timeout passed in seconds
+        if (options.timeout) {
+            this.timer = setTimeout(() => {
+                this.timedOut = true;
+                this.aborter.abort();
+            }, options.timeout * 1000);
+        }
+
+        let init = {
+            method:         options.method || 'GET',
+            headers,
+            body:           options.body,
+            credentials:    options.withCredentials ? 'include' : 'same-origin',
+            signal:         this.aborter.signal
+        };
+
+        // timings are recorded as they are for xhr requests. downloadStart
+        // is timestamped when the response headers are received.
+        this.state = Download.inprogress;
+        this.requestStart = performance.now();
+
+        fetch(uri, init)
+            .then((response) => {
+                this.downloadStart = performance.now();
+                this.response = response;
+
+                // only 200 || 206 responses are accepted
+                let accepted = response.status == 200 ||
+                               (options.range && response.status == 206);
+                if (!accepted)
+                    throw `status ${response.status}`;
+
+                // HEAD responses have no body
+                if (!response.body)
+                    return;
+                return this.read(response.body.getReader(), options, download);
+            })
+            .then(() => {
+                if (this.state == Download.cancelled)
+                    return;
+
+                this.finish();
+                this.state = Download.success;
+                download.success(this.xhrFor(options));
+            })
+            .catch((e) => {
+                if (this.state == Download.cancelled)
+                    return;
+
+                this.finish();
+                if (this.timedOut) {
+                    this.state = Download.timeout;
+                    download.timeout(this.xhrFor(options));
+                } else {
+                    this.state = Download.error;
+                    download.error(this.xhrFor(options));
+                }
+            });
+
+        return this;
+    }
+
+    read(reader, options, download) {
+        return reader.read().then(({done, value}) => {
+            if (done || this.state == Download.cancelled)
+                return;
+
+            this.chunkTimes.push({
+                size: value.byteLength,
+                at: performance.now()
+            });
+            this.totalSize += value.byteLength;
+
+            if (options.progressive)
+                download.chunk(value);
+            else
+                this.chunks.push(value);
+
+            return this.read(reader, options, download);
+        });
+    }
+
+    finish() {
+        this.downloadEnd = performance.now();
+        clearTimeout(this.timer);
+        this.aborter = null;
+    }
+
+    // an xhr-like view of the response. the body is read as an array buffer
+    // or text (parsed as xml when a mime type is forced), as responseType
+    // and mimeType would for an xhr. progressive bodies have already been
+    // passed to the download and aren't repeated.
+    xhrFor(options) {
+        let response = this.response;
+        let xhr = {
+            status:             response ? response.status : 0,
+            responseURL:        response ? response.url : undefined,
+            response:           null,
+            responseText:       null,
+            responseXML:        null,
+            getResponseHeader:  (name) => response ? response.headers.get(name) : null
+        };
+
+        if (options.progressive || this.state != Download.success)
+            return xhr;
+
+        let bytes = this.body();
+        if (options.responseType == 'arraybuffer') {
+            xhr.response = bytes.buffer;
+            return xhr;
+        }
+
+        xhr.responseText = new TextDecoder().decode(bytes);
+        xhr.response = xhr.responseText;
+
+        if (options.mimeType == 'text/xml')
+            xhr.responseXML = parseXMLResponse(xhr.responseText);
+
+        return xhr;
+    }
+
+    // collected chunks joined into a single array. chunks are released once
+    // joined so only the processor holds the response data.
+    body() {
+        let bytes = new Uint8Array(this.totalSize);
+        let offset = 0;
+
+        for (let chunk of this.chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+
+        this.chunks = [];
+        return bytes;
+    }
+
+    // abort without notifying the download, as for xhr requests
+    destruct() {
+        if (this.state != Download.inprogress || !this.aborter)
+            return;
+
+        this.state = Download.cancelled;
+        this.aborter.abort();
+        this.finish();
+    }
+};
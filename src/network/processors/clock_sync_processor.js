@@ -0,0 +1,62 @@
+class ClockSync extends RequestProcessor {
+    constructor(presentation, timing) {
+        this.presentation = presentation;
+        this.timing = timing;
+
+        // http-head reads the Date header of a HEAD response, other schemes
+        // read a date from the response body
+        this.method = (timing.kind == 'http-head') ? 'HEAD' : 'GET';
+        this.uri = timing.value;
+
+        // the server time is assumed to correspond to the midpoint between
+        // the request being made and the response being received
+        this.requestedAt = Date.now() / 1000;
+
+        console.log(`synchronising clock with ${timing.kind} ${this.uri}`);
+    }
+
+    get type() {
+        return RequestProcessor.timing;
+    }
+
+    error(xhr) {
+        console.log(`error loading time from ${this.uri}`, xhr);
+        this.presentation.clockSyncFailed(this.timing);
+    }
+
+    timeout(xhr) {
+        console.log(`timeout loading time from ${this.uri}`, xhr);
+        this.presentation.clockSyncFailed(this.timing);
+    }
+
+    success(xhr) {
+        let receivedAt = Date.now() / 1000;
+        let serverTime = this.serverTime(xhr);
+
+        if (serverTime == undefined || Number.isNaN(serverTime)) {
+            console.log(`invalid time received from ${this.uri}`);
+            this.presentation.clockSyncFailed(this.timing);
+            return;
+        }
+
+        let localTime = (this.requestedAt + receivedAt) / 2;
+        this.presentation.clockSynchronised(serverTime - localTime);
+    }
+
+    // times are returned in seconds since the epoch
+    serverTime(xhr) {
+        if (this.timing.kind == 'http-head') {
+            let header = xhr.getResponseHeader('Date');
+            return header ? Date.parse(header) / 1000 : undefined;
+        }
+
+        // http-xsdate responses are xs:dateTime values, http-iso responses
+        // are ISO 8601 dates which may use formats xs:dateTime doesn't allow
+        let body = xhr.responseText.trim();
+        try {
+            return date(body);
+        } catch (e) {
+            return Date.parse(body) / 1000;
+        }
+    }
+};
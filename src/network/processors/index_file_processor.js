@@ -0,0 +1,55 @@
+class IndexFile extends RequestProcessor {
+    constructor(content, representation) {
+        this.content = content;
+        this.representation = representation;
+
+        // SegmentBase representations reference a single media file. the
+        // segment index (sidx) is read from indexRange within that file.
+        let segmentBase = representation.segmentBase;
+        this.uri = representation.mediaURL;
+        this.range = segmentBase.indexRange;
+        this.offset = segmentBase.indexStart;
+
+        console.log(`loading ${content.source.contentType} index for ` +
+                    `representation ${representation.id} from ` +
+                    `${this.uri} (${this.range})`);
+    }
+
+    get type() {
+        return RequestProcessor.init;
+    }
+
+    error(xhr) {
+        console.log(`error loading index file ${this.uri}`, xhr);
+        this.content.indexFailed(this.representation, new PlayerError(
+            PlayerError.networkError,
+            `error loading index file ${this.uri}`
+        ));
+    }
+
+    timeout(xhr) {
+        console.log(`timeout loading index file ${this.uri}`, xhr);
+        this.content.indexFailed(this.representation, new PlayerError(
+            PlayerError.networkError,
+            `timeout loading index file ${this.uri}`
+        ));
+    }
+
+    success(xhr) {
+        let box = Box.find(xhr.response, 'sidx');
+        if (!box) {
+            this.content.indexFailed(this.representation, new PlayerError(
+                PlayerError.mediaParseError,
+                `no sidx box found in index of representation ${this.representation.id}`
+            ));
+            return;
+        }
+
+        let index = new SegmentIndexBox(box, this.offset);
+        if (index.references.some((reference) => reference.hierarchical))
+            console.warn('hierarchical segment indexes are not supported, ' +
+                         'only media references will be used');
+
+        this.content.indexLoaded(this.representation, index);
+    }
+};
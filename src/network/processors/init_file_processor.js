@@ -1,15 +1,31 @@
 class InitFile extends RequestProcessor {
-    constructor(source) {
+    constructor(source, representation) {
         this.source = source;
+        this.representation = representation;
 
-        // generate init url from the initial representation
-        let representation = source.currentRepresentation;
-        if (representation.segmentTemplate)
+        // each representation has its own init file. it's loaded when the
+        // source starts, and whenever the representation is first switched to
+        if (representation.segmentTemplate) {
             this.uri = representation.segmentTemplate.initialization;
-        else
+        } else if (representation.segmentBase) {
+            this.uri = this.segmentBaseURI(representation);
+            this.range = representation.segmentBase.initializationRange;
+        } else {
             this.uri = representation.segmentList.initialization.sourceURL;
+        }
 
-        console.log(`initialising ${source.contentType} with ${this.uri}`);
+        let range = this.range ? ` (${this.range})` : '';
+        console.log(`loading ${source.contentType} init file for ` +
+                    `representation ${representation.id}: ${this.uri}${range}`);
+    }
+
+    // on demand files hold the init segment at a byte range within the media
+    // file, unless an Initialization element provides a separate sourceURL
+    segmentBaseURI(representation) {
+        let initialization = representation.segmentBase.initialization;
+        if (initialization && initialization.sourceURL)
+            return initialization.sourceURL;
+        return representation.mediaURL;
     }
 
     get type() {
@@ -17,18 +33,18 @@ class InitFile extends RequestProcessor {
     }
 
     error(xhr) {
-        console.log(`error loading init file ${this.url}`, xhr);
-        throw 'error loading init file';
+        console.log(`error loading init file ${this.uri}`, xhr);
+        this.source.initFileFailed(this.representation, this.uri, 'error');
     }
 
     timeout(xhr) {
-        console.log(`timeout loading init file ${this.url}`, xhr);
-        throw 'timeout loading init file';
+        console.log(`timeout loading init file ${this.uri}`, xhr);
+        this.source.initFileFailed(this.representation, this.uri, 'timeout');
     }
 
     success(xhr) {
-        console.log(`loaded init file for ${this.source.contentType}`);
-        this.source.appendInitFile(xhr.response);
-        this.source.state = Source.initialised;
+        console.log(`loaded ${this.source.contentType} init file for ` +
+                    `representation ${this.representation.id}`);
+        this.source.initFileLoaded(this.representation, xhr.response);
     }
 };
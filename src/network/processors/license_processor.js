@@ -0,0 +1,30 @@
+class LicenseRequest extends RequestProcessor {
+    constructor(uri, resolve, reject) {
+        this.uri = uri;
+
+        // license requests are made on behalf of a key session, which waits
+        // for the license using a promise
+        this.resolve = resolve;
+        this.reject = reject;
+
+        console.log(`requesting license from ${uri}`);
+    }
+
+    get type() {
+        return RequestProcessor.license;
+    }
+
+    error(xhr) {
+        console.log(`error requesting license from ${this.uri}`, xhr);
+        this.reject(`error requesting license from ${this.uri} (${xhr.status})`);
+    }
+
+    timeout(xhr) {
+        console.log(`timeout requesting license from ${this.uri}`, xhr);
+        this.reject(`timeout requesting license from ${this.uri}`);
+    }
+
+    success(xhr) {
+        this.resolve(xhr.response);
+    }
+};
@@ -38,8 +38,21 @@ class MPDProcessor extends RequestProcessor {
         this.reloadAttempts = 0;
 
         // parse the manifest; the presentation and child objects will add/
-        // remove periods and segments as required
-        let manifest = new Manifest(mpds[0], controller.manifestURL);
+        // remove periods and segments as required. when a reloaded manifest
+        // can't be parsed playback continues with the previous manifest.
+        try {
+            var manifest = new Manifest(mpds[0], controller.manifestURL);
+        } catch (e) {
+            controller.resetManifestLoading();
+            controller.error(new PlayerError(
+                PlayerError.manifestParseError,
+                `cannot parse manifest: ${e}`,
+                controller.presentation.manifest == null,
+                {url: controller.manifestURL}
+            ));
+            return;
+        }
+
         controller.resetManifestLoading();
         controller.loadedManifest(manifest);
     }
@@ -78,13 +91,25 @@ class MPDProcessor extends RequestProcessor {
 
             this.reloadAttempts += 1;
             setTimeout(function() {
+                controller.loadingManifest = false;
                 controller.loadManifest();
-            }, options.mpdReloadDelay);
+            }, options.mpdReloadDelay * 1000);
             
         } else {
             console.log('the maximum number of mpd reloads has been reached ' +
                         'without successfully loading the mpd file.');
             this.reloadAttempts = 0;
+            controller.resetManifestLoading();
+
+            // without a first manifest there's nothing to play. dynamic
+            // presentations will attempt another reload after the next
+            // minimumUpdatePeriod.
+            controller.error(new PlayerError(
+                PlayerError.networkError,
+                'cannot load manifest, maximum reload attempts reached',
+                controller.presentation.manifest == null,
+                {url: controller.manifestURL}
+            ));
         }
     }
 }
@@ -14,11 +14,19 @@ class RequestProcessor extends PlayerObject {
     success(xhr) {
         throw 'success not overriden';
     }
+
+    // progressive downloads deliver the response in chunks before success
+    chunk(bytes) {
+        throw 'chunk not overriden';
+    }
 };
 
 RequestProcessor.enum('types', [
     'undefined',
     'mpd',
     'init',
-    'media'
+    'media',
+    'timing',
+    'text',
+    'license'
 ]);
@@ -1,18 +1,35 @@
 class Segment extends RequestProcessor {
-    constructor(duration, number, time, timescale, content, url, range) {
+    constructor(duration, number, time, timescale, content) {
         this.duration       = duration;
         this.number         = number;
         this.time           = time;
         this.timescale      = timescale;
         this.content        = content;
-        this.listURL        = url;
-        this.range          = range;
+
+        // assigned when the segment's url is memoised for download
+        this.representation = null;
+        this.range          = undefined;
+
+        // failed downloads are retried after a delay (retryAt). segments
+        // that aren't available yet at the live edge are requeued (resyncs).
+        this.attempts       = 0;
+        this.resyncs        = 0;
+        this.retryAt        = undefined;
 
         this.state          = Segment.pending;
         this._url           = null;
+
+        // progressively downloaded segments are appended in chunks. bytes of
+        // a box which hasn't been completely received wait in pending.
+        this.pending        = null;
+        this.chunks         = 0;
     }
 
+    // text segments are kept separate from media so they don't affect
+    // throughput measurements
     get type() {
+        if (this.content.source.contentType == 'text')
+            return RequestProcessor.text;
         return RequestProcessor.media;
     }
 
@@ -33,13 +50,15 @@ class Segment extends RequestProcessor {
     }
 
     // assuming this is a repeating segment, produce the segment that contains
-    // 'time' in its interval (start inclusive, end non inclusive)
+    // presentation time 'time' in its interval (start inclusive, end non
+    // inclusive). times before this segment produce this segment.
     seekTo(time) {
-        let number = Math.floor((time * this.timescale) / this.duration);
+        let offset = (time - this.start) * this.timescale;
+        let count = Math.max(Math.floor(offset / this.duration), 0);
         return new Segment(
             this.duration,
-            number,
-            number * this.duration,
+            this.number + count,
+            this.time + (count * this.duration),
             this.timescale,
             this.content
         );
@@ -48,21 +67,34 @@ class Segment extends RequestProcessor {
     // ---------------------------
     // attributes
     // ---------------------------
-    // lazily evaluate url so changes to currentRepresentation can apply
+    // lazily evaluate url so changes to currentRepresentation can apply.
+    // memoising locks the segment to the current representation.
     uri(memoise = false) {
         if (this._uri)
             return this._uri;
 
-        if (this.listURL) {
-            var path = this.listURL;
-        } else {
-            let template = this.content.currentRepresentation.segmentTemplate;
+        let representation = this.content.currentRepresentation;
+
+        if (representation.segmentTemplate) {
+            let template = representation.segmentTemplate;
             let number = this.number + template.startNumber;
             var path = template.media.format(number, this.time);
+        } else if (representation.segmentBase) {
+            // indexed segments are byte ranges of the representation's file
+            var path = representation.mediaURL;
+            var range = this.content.rangeFor(representation, this.number);
+        } else {
+            let segmentURL = representation.segmentList.segmentURLs[this.number];
+            var path = segmentURL.media;
+            var range = segmentURL.mediaRange;
         }
 
-        if (memoise)
+        if (memoise) {
             this._uri = path;
+            this.range = range;
+            this.representation = representation;
+        }
+
         return path;
     }
 
@@ -75,23 +107,82 @@ class Segment extends RequestProcessor {
 
         // live edge is 0 when current time == availability time. the segment
         // will become available once its duration is complete, i.e the first
-        // segment can't be accessed until it's recorded
-        return presentation.liveEdge() >= this.end;
+        // segment can't be accessed until it's recorded. low latency segments
+        // are available availabilityTimeOffset seconds earlier.
+        let template = this.template;
+        let offset = template ? template.availabilityTimeOffset : 0;
+        return presentation.liveEdge() >= this.end - offset;
+    }
+
+    // low latency segments which are still being produced when available
+    // are downloaded progressively, if the browser can stream responses
+    get progressive() {
+        let template = this.template;
+        return template != undefined && !template.availabilityTimeComplete &&
+                this.content.source.contentType != 'text' &&
+                FetchRequest.supported;
+    }
+
+    // availability is only described by segment templates
+    get template() {
+        let representation = this.representation || this.content.currentRepresentation;
+        return representation ? representation.segmentTemplate : undefined;
+    }
+
+    // abort the segment's download and return it to the pending state. the
+    // url is cleared so a representation can be selected again. received
+    // segments which haven't been appended are discarded.
+    cancel() {
+        if (this.state == Segment.downloading) {
+            console.log(`cancelling download of segment ${this._uri}`);
+            this.download.cancel();
+            this.abandonChunks();
+        } else if (this.state != Segment.received) {
+            return;
+        }
+
+        this.reset();
+    }
+
+    // return the segment to the pending state, e.g after its download is
+    // cancelled or its media is evicted from the buffer
+    reset() {
+        this.retryAt = undefined;
+        this.state = Segment.pending;
+        this.download = null;
+        this.data = null;
+        this.pending = null;
+        this.chunks = 0;
+        this._uri = null;
+        this.range = undefined;
+        this.representation = null;
     }
 
     equal(other) {
-        return this.duration == other.duration &&
+        return this.content == other.content &&
+               this.duration == other.duration &&
                this.time == other.time;
     }
 
-    get start() {
+    // time is on the media timeline of the segment's representation.
+    // start and end are presentation times, offset by the content's period
+    // start and presentation time offset.
+    get mediaStart() {
         return this.time / this.timescale;
     }
 
-    get end() {
+    get mediaEnd() {
         return (this.time + this.duration) / this.timescale;
     }
 
+    get start() {
+        return this.mediaStart + this.content.timestampOffset;
+    }
+
+    get end() {
+        return this.mediaEnd + this.content.timestampOffset;
+    }
+
     get durationSeconds() {
         return this.duration / this.timescale;
     }
@@ -101,27 +192,173 @@ class Segment extends RequestProcessor {
     // network callbacks
     // ---------------------------
     error(xhr) {
-        this.state = Segment.error;
-        console.log(`error loading segment ${this._url}`, xhr);
-        throw 'error loading segment';
+        console.log(`error loading segment ${this._uri}`, xhr);
+        this.retry('error', xhr);
     }
 
     timeout(xhr) {
+        console.log(`timeout loading segment ${this._uri}`, xhr);
+        this.retry('timeout', xhr);
+    }
+
+    retry(reason, xhr) {
+        let presentation = this.content.source.presentation;
+        let options = presentation.controller.options;
+        this.abandonChunks();
+
+        // request and response filter failures aren't retried
+        if (xhr && xhr.filterFailed) {
+            this.state = Segment.error;
+            this.failed('filter failure', xhr);
+            return;
+        }
+
+        // a 404 for a segment at the live edge of a dynamic presentation
+        // means the segment isn't available yet rather than missing. resync
+        // the live edge and return the segment to the queue; it'll be
+        // downloaded again once it's available.
+        let notYetAvailable = xhr && xhr.status == 404 &&
+                              presentation.manifest.dynamic &&
+                              this.nearLiveEdge();
+
+        if (notYetAvailable && this.resyncs < options.segmentRetries) {
+            this.resyncs += 1;
+            presentation.controller.resyncLiveEdge(this, xhr);
+            this.reset();
+            return;
+        }
+
+        // otherwise retry with exponential backoff
+        if (this.attempts < options.segmentRetries) {
+            let delay = options.segmentRetryDelay * Math.pow(2, this.attempts);
+            delay = Math.min(delay, options.segmentRetryMaxDelay);
+            this.attempts += 1;
+
+            console.log(`retrying segment ${this._uri} in ${delay.toFixed(2)}s ` +
+                        `(attempt ${this.attempts} of ${options.segmentRetries})`);
+            this.reset();
+            this.retryAt = performance.now() + (delay * 1000);
+            return;
+        }
+
+        // a segment that can't be loaded leaves a gap in the buffer, but later
+        // segments can still be played so the error isn't fatal
         this.state = Segment.error;
-        console.log(`timeout loading segment ${this._url}`, xhr);
-        throw 'timeout loading segment';
+        this.failed(reason, xhr);
+    }
+
+    // within two segment durations of the live edge
+    nearLiveEdge() {
+        let presentation = this.content.source.presentation;
+        return (presentation.liveEdge() - this.end) < (this.durationSeconds * 2);
+    }
+
+    // inband events are carried in emsg boxes preceding the segment's moof.
+    // only schemes signalled by an InbandEventStream are reported.
+    extractEvents(data = this.data) {
+        let streams = this.representation ? this.representation.eventStreams : [];
+        if (streams.length == 0)
+            return;
+
+        let events = this.content.source.presentation.events;
+        for (let box of Box.parseAll(data)) {
+            if (box.type != 'emsg')
+                continue;
+
+            // a malformed event shouldn't prevent the segment being played
+            try {
+                var emsg = new EventMessageBox(box);
+            } catch (e) {
+                console.warn(`invalid emsg box in segment ${this._uri}: ${e}`);
+                continue;
+            }
+
+            let signalled = streams.some((stream) =>
+                stream.schemeIdUri == emsg.schemeIdUri &&
+                (stream.value == undefined || stream.value == emsg.value)
+            );
+
+            if (signalled)
+                events.addInbandEvent(emsg, this);
+        }
+    }
+
+    failed(reason, xhr) {
+        let source = this.content.source;
+        source.presentation.controller.error(new PlayerError(
+            PlayerError.networkError,
+            `${reason} loading ${source.contentType} segment ${this._uri}`,
+            false,
+            {
+                contentType:    source.contentType,
+                uri:            this._uri,
+                range:          this.range,
+                start:          this.start,
+                status:         xhr ? xhr.status : undefined
+            }
+        ));
+    }
+
+    // cmaf chunks (moof and mdat pairs) are appended as soon as each has
+    // been completely received
+    chunk(bytes) {
+        let pending = this.pending ? concatBytes(this.pending, bytes) : bytes;
+        let view = new DataView(pending.buffer, pending.byteOffset, pending.byteLength);
+        let length = Box.completeLength(view);
+
+        this.pending = pending.slice(length);
+        if (length == 0)
+            return;
+
+        let complete = pending.slice(0, length).buffer;
+        this.extractEvents(complete);
+        this.content.source.appendChunk(this, complete, this.chunks == 0);
+        this.chunks += 1;
+    }
+
+    // a progressive segment abandoned part way through leaves the buffer
+    // expecting the rest of it. the buffer's parser is reset before any
+    // other media is appended.
+    abandonChunks() {
+        if (this.chunks > 0)
+            this.content.source.abortAppend();
     }
 
     success(xhr) {
+        if (this.download && this.download.progressive) {
+            // any remaining bytes are appended as they are; if they aren't
+            // valid media the buffer reports an error
+            if (this.pending && this.pending.byteLength > 0)
+                this.content.source.appendChunk(this, this.pending.slice().buffer, this.chunks == 0);
+
+            console.log(`received ${this.content.source.contentType} segment ` +
+                        `${this._uri} in ${this.chunks} chunk(s)`);
+            this.pending = null;
+            this.state = Segment.downloaded;
+            this.content.source.segmentReceived(this);
+            return;
+        }
+
+        // segments are appended by the source in segment order, which may
+        // not be the order they're received in
         this.data = xhr.response;
-        this.content.source.appendSegment(this);
-        this.state = Segment.downloaded;
+        this.extractEvents();
+        this.state = Segment.received;
+        this.content.source.segmentReceived(this);
     }
 }
 
+function concatBytes(first, second) {
+    let bytes = new Uint8Array(first.byteLength + second.byteLength);
+    bytes.set(first, 0);
+    bytes.set(second, first.byteLength);
+    return bytes;
+}
+
 Segment.enum('states', [
     'pending',
     'downloading',
+    'received',
     'downloaded',
     'error'
 ]);
@@ -0,0 +1,32 @@
+class TextFile extends RequestProcessor {
+    constructor(source, content, representation) {
+        this.source = source;
+        this.content = content;
+        this.representation = representation;
+
+        // sidecar text representations are a single webvtt or ttml file
+        // referenced by the representation's BaseURL
+        this.uri = representation.mediaURL;
+
+        console.log(`loading ${source.label} text file for ` +
+                    `representation ${representation.id}: ${this.uri}`);
+    }
+
+    get type() {
+        return RequestProcessor.text;
+    }
+
+    error(xhr) {
+        console.log(`error loading text file ${this.uri}`, xhr);
+        this.source.textFileFailed(this.representation, this.uri, 'error');
+    }
+
+    timeout(xhr) {
+        console.log(`timeout loading text file ${this.uri}`, xhr);
+        this.source.textFileFailed(this.representation, this.uri, 'timeout');
+    }
+
+    success(xhr) {
+        this.source.textFileLoaded(this.content, this.representation, xhr.response);
+    }
+};
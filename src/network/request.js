@@ -1,6 +1,8 @@
 // --------------------------------------------------
 // single connection request
 // --------------------------------------------------
+var CHUNK_BURST_GAP = 50;   // ms; longer gaps between chunks separate bursts
+
 class Request {
     constructor() {
         this.state = Download.undownloaded;
@@ -26,9 +28,28 @@ class Request {
         return this.totalSize / this.duration();
     }
 
+    // progressive responses arrive in bursts as the media is produced,
+    // separated by idle time. speed is measured within bursts only; the
+    // first chunk of a burst marks its start, so isn't counted.
+    burstSpeed() {
+        let size = 0;
+        let time = 0;
+        let last = undefined;
+
+        for (let chunk of this.chunkTimes) {
+            if (last != undefined && (chunk.at - last) < CHUNK_BURST_GAP) {
+                size += chunk.size;
+                time += chunk.at - last;
+            }
+            last = chunk.at;
+        }
+
+        return (time > 0) ? size / time : undefined;
+    }
+
     start(uri, options, download) {
         let xhr = new XMLHttpRequest();
-        xhr.open('GET', uri);
+        xhr.open(options.method || 'GET', uri);
 
         // force interpretation of response. used when downloading mpds since
         // some servers respond with a generic mime type rather than text/xml.
@@ -44,10 +65,20 @@ class Request {
         if (options.timeout)
             xhr.timeout = options.timeout * 1000;
 
+        // cookies and auth headers on cross origin requests
+        if (options.withCredentials)
+            xhr.withCredentials = true;
+
         // range requests
         if (options.range)
             xhr.setRequestHeader('Range', `bytes=${options.range}`);
 
+        // additional headers, e.g required by license servers
+        if (options.headers) {
+            for (let name of Object.keys(options.headers))
+                xhr.setRequestHeader(name, options.headers[name]);
+        }
+
 
         // track state and timings of the request. requestStart is timestamped
         // to the moment before xhr.send(), which is when a connection is
@@ -108,7 +139,7 @@ class Request {
 
         this.state = Download.inprogress;
         this.requestStart = performance.now();
-        xhr.send();
+        xhr.send(options.body);
 
         // capture xhr on the request object for the lifetime of the connection
         // it's set to null once a processor callback is fired for memory -
@@ -129,3 +160,15 @@ class Request {
         this.state = Download.error;
     }
 };
+
+// xhr provides no document when a text/xml response isn't well formed xml.
+// used where responses are produced without an xhr.
+function parseXMLResponse(text) {
+    if (!text)
+        return null;
+
+    let doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0)
+        return null;
+    return doc;
+}
@@ -19,12 +19,44 @@ class Player {
             mpdReloadDelay: 0.2,            // seconds
             mpdMaxReloadAttempts: 5,
 
+            // clock synchronisation
+            utcTimingURL: undefined,        // time server (http-xsdate) used when an mpd has no usable UTCTiming
+
             // playback
             noTimeshift: false,             // true if live streams won't rewind
             ignoreAudio: false,             // skip audio source when true
+            preferredAudioLanguage: undefined, // language code (e.g 'en') of the audio track to start with
+            supportedEssentialProperties: [],  // EssentialProperty schemes the app handles; others exclude their adaptation set
             overrideDelay: undefined,       // seconds; when !undefined, override suggestedPresentationDelay
 
+            // live latency
+            targetLatency: undefined,       // seconds behind the live edge to hold live playback at; undefined disables
+            maxLatency: undefined,          // seconds; seek forward to targetLatency beyond this, defaults to 2x targetLatency
+            latencyTolerance: 0.2,          // seconds of drift from targetLatency before the playback rate changes
+            latencyMinPlaybackRate: 0.95,   // slowest playback rate used to fall back to targetLatency
+            latencyMaxPlaybackRate: 1.05,   // fastest playback rate used to catch up to targetLatency
+
+            // content protection
+            keySystems: {},                 // key system name => {licenseURL, headers, clearKeys: {kid: key}}
+            licenseRequest: undefined,      // function(request) returning a promise of a license, overrides licenseURL
+
+            // adaptive bitrate
+            abrEnabled: true,               // when false, the initial representation is used throughout
+            abrSafetyFactor: 0.8,           // fraction of measured throughput representations may use
+            abrSwitchUpFactor: 1.2,         // bandwidth headroom required before switching up
+            abrSwitchUpBuffer: 10,          // seconds; min buffered media before switching up
+            abrLowBuffer: 3,                // seconds; switch to the lowest bitrate below this buffer level
+            abrMinSwitchInterval: 5,        // seconds; min time between switches up
+
             // network
+            requestBackend: 'xhr',          // 'xhr' or 'fetch'; fetch streams responses, and falls back to xhr when unsupported
+            requestFilters: [],             // functions(request) which may change a request's uri, method, headers or withCredentials
+            responseFilters: [],            // functions(response) which may replace response.data, optionally returning a promise
+            maxConcurrentDownloads: 2,      // max media segment downloads in flight per source
+            bufferTarget: undefined,        // seconds of media to download ahead of the playhead; defaults to minBufferTime
+            segmentRetries: 3,              // max retries of a failed segment download
+            segmentRetryDelay: 0.5,         // seconds; delay before the first retry, doubled for each retry
+            segmentRetryMaxDelay: 8,        // seconds; max delay between retries
             downloadHistory: 100,           // max number of recent requests to cache
             maxBaseFailedRequests: 2,       // max number of failed requests to a base before it's taken offline
             baseOfflineDuration: 60,        // seconds; when base is taken offline it won't receive requests for this duration
@@ -88,6 +120,15 @@ class Player {
         );
 
 
+        // move buffering to the new position when the viewer seeks
+        this.video.addEventListener('seeking',
+            this.videoSeekingEventHandler = function() {
+                if (player.controller)
+                    player.controller.seeking();
+            }
+        );
+
+
         // ---------------------------
         // backing media source
         // ---------------------------
@@ -96,6 +137,13 @@ class Player {
 
         this.mediaSource.addEventListener('sourceopen',
             this.mseOpenHandler = function() {
+                // appending to an ended media source reopens it, e.g when
+                // seeking back after the end of a presentation was buffered
+                if (player.controller.state != PresentationController.uninitialised) {
+                    console.log('media source reopened');
+                    return;
+                }
+
                 console.log('media source open');
                 player.controller.loadManifest();
                 player.emit('loading');
@@ -198,6 +246,7 @@ class Player {
 
         // detach video element event handlers
         this.video.removeEventListener('timeupdate', this.videoTimeUpdateEventHandler);
+        this.video.removeEventListener('seeking', this.videoSeekingEventHandler);
         for (let eventType of VIDEO_EVENTS) {
             this.video.removeEventListener(eventType, this.videoEventHandler);
         }
@@ -228,14 +277,15 @@ class Player {
     // ---------------------------
     // states/events
     // ---------------------------
-    emit(type) {
+    // events may carry a detail object, available as event.detail
+    emit(type, detail = null) {
         let eventType = `player:${type}`;
 
         try {
-            var event = new Event(eventType);
+            var event = new CustomEvent(eventType, {detail});
         } catch (ignore) {
-            var event = document.createEvent('Event');
-            event.initEvent(eventType, true, true);
+            var event = document.createEvent('CustomEvent');
+            event.initCustomEvent(eventType, true, true, detail);
         }
 
         this.video.dispatchEvent(event);
@@ -245,6 +295,11 @@ class Player {
         return this.controller.state;
     }
 
+    // the most recent error reported by a player:error event
+    get lastError() {
+        return this.controller.lastError;
+    }
+
     set duration(newDuration) {
         this.mediaSource.duration = newDuration;
         console.log(`set video duration to ${this.mediaSource.duration}`);
@@ -255,9 +310,87 @@ class Player {
         return this.mediaSource.duration;
     }
 
+    // seconds the playhead is behind the live edge, undefined when the
+    // presentation isn't live
+    latency() {
+        let current = this.video.currentTime;
+        return this.controller.latencyController.latency(current);
+    }
+
+    // start and end presentation times (seconds) that can be seeked to.
+    // live streams can be rewound up to the manifest's timeShiftBufferDepth.
+    seekableRange() {
+        return this.controller.presentation.seekableRange();
+    }
+
     setDimensions(width, height) {
         this.videoWidth = width;
         this.videoHeight = height;
         this.emit('dimensionChange');
     }
+
+
+    // ---------------------------
+    // quality selection
+    // ---------------------------
+    // representations available in the current period, lowest bandwidth first
+    representations(contentType = 'video') {
+        let source = this.controller.presentation.sourceFor(contentType);
+        let representations = Array.from(source.content.representations);
+        representations.sort((a, b) => a.bandwidth - b.bandwidth);
+        return representations.map(Player.describeRepresentation);
+    }
+
+    // the representation of the media most recently appended to the buffer
+    activeRepresentation(contentType = 'video') {
+        let source = this.controller.presentation.sourceFor(contentType);
+        let representation = source.bufferRepresentation;
+        return representation ? Player.describeRepresentation(representation) : undefined;
+    }
+
+    // force a representation by id. automatic selection is disabled until
+    // unlockRepresentation is called.
+    lockRepresentation(contentType, id) {
+        this.controller.lockRepresentation(contentType, id);
+    }
+
+    unlockRepresentation(contentType) {
+        this.controller.lockRepresentation(contentType, null);
+    }
+
+    lockedRepresentation(contentType = 'video') {
+        let source = this.controller.presentation.sourceFor(contentType);
+        return source.lockedRepresentation;
+    }
+
+    static describeRepresentation(representation) {
+        return {
+            id:         representation.id,
+            bandwidth:  representation.bandwidth,
+            width:      representation.width,
+            height:     representation.height,
+            codecs:     representation.codecs,
+            mimeType:   representation.mimeType
+        };
+    }
+
+
+    // ---------------------------
+    // audio tracks
+    // ---------------------------
+    // tracks are described by an id, and their language, role and label
+    audioTracks() {
+        let tracks = this.controller.presentation.audioTracks;
+        return tracks.map((track) => track.describe());
+    }
+
+    get activeAudioTrack() {
+        let presentation = this.controller.presentation;
+        let track = presentation.audioTrackWith(presentation.audioTrack);
+        return track ? track.describe() : undefined;
+    }
+
+    selectAudioTrack(id) {
+        this.controller.selectAudioTrack(id);
+    }
 }
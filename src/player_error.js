@@ -0,0 +1,33 @@
+// errors raised during playback are reported to the app as player:error
+// events rather than thrown, since most originate in network and media
+// source callbacks where a thrown exception can't be caught by the app.
+// fatal errors stop playback; recoverable errors are informational and
+// playback continues (possibly with a gap or at a different quality).
+class PlayerError extends PlayerObject {
+    constructor(code, message, fatal = true, details = {}) {
+        this.code    = code;
+        this.message = message;
+        this.fatal   = fatal;
+        this.details = details;
+    }
+
+    get name() {
+        return PlayerError.codes[this.code];
+    }
+
+    toString() {
+        let severity = this.fatal ? 'fatal' : 'recoverable';
+        return `${severity} ${this.name}: ${this.message}`;
+    }
+};
+
+PlayerError.enum('codes', [
+    'networkError',             // a request failed or timed out on all bases
+    'manifestParseError',       // an mpd could not be parsed into models
+    'manifestUpdateError',      // a reloaded mpd is inconsistent with the presentation
+    'mediaAppendError',         // a source buffer rejected appended media
+    'codecUnsupportedError',    // the browser can't play a representation's type
+    'mediaParseError',          // downloaded media (e.g a segment index) is invalid
+    'keySystemError',           // no key system could be used to decrypt protected media
+    'licenseError'              // a license couldn't be obtained or was rejected
+]);
@@ -0,0 +1,40 @@
+// --------------------------------------------------
+// audio tracks
+// --------------------------------------------------
+// audio adaptation sets with the same language, role and label are versions
+// of the same track, and their representations are bitrate variants of each
+// other. different tracks (e.g english and french, or a commentary) share the
+// audio source and its buffer; only the selected track is buffered.
+class AudioTrack extends PlayerObject {
+    constructor(key, adaptationSet) {
+        this.key    = key;
+        this.lang   = adaptationSet.lang;
+        this.role   = adaptationSet.role;
+        this.label  = adaptationSet.label;
+    }
+
+    static keyFor(adaptationSet) {
+        let lang  = adaptationSet.lang || 'und';
+        let role  = adaptationSet.role || '';
+        let label = adaptationSet.label || '';
+        return `${lang}:${role}:${label}`;
+    }
+
+    // languages match on their primary subtag, so 'en' matches 'en-GB'
+    matchesLanguage(language) {
+        if (!this.lang || !language)
+            return false;
+
+        let primary = (lang) => lang.toLowerCase().split('-')[0];
+        return primary(this.lang) == primary(language);
+    }
+
+    describe() {
+        return {
+            id:     this.key,
+            lang:   this.lang,
+            role:   this.role,
+            label:  this.label
+        };
+    }
+};
@@ -0,0 +1,105 @@
+// --------------------------------------------------
+// adaptive bitrate selection
+// --------------------------------------------------
+// each source owns a BitrateController which chooses the representation to
+// use for the next segment download. selection is based on the measured
+// throughput of recent media downloads and the amount of media buffered
+// ahead of the playhead. switching down happens as soon as the current
+// representation can't be sustained; switching up requires headroom in both
+// throughput and buffer, and a minimum time since the last switch, so the
+// selection doesn't oscillate between neighbouring bitrates.
+class BitrateController extends PlayerObject {
+    constructor(source) {
+        this.source         = source;
+        this.options        = source.presentation.controller.options;
+        this.lastSwitch     = undefined;
+
+        // the low buffer rule applies once the buffer has filled after
+        // playback starts or seeks, i.e when the buffer is draining
+        this.bufferFilled   = false;
+    }
+
+    // measured throughput in bits per second. request speeds are recorded in
+    // bytes per millisecond.
+    get throughput() {
+        let downloader = this.source.presentation.controller.downloader;
+        let speed = downloader.speedHistory(RequestProcessor.media).avg;
+        if (speed == undefined || !Number.isFinite(speed))
+            return undefined;
+        return speed * 8 * 1000;
+    }
+
+    // seconds of media buffered contiguous with the playhead, or with the
+    // playback start before playback has started
+    get bufferLevel() {
+        let controller = this.source.presentation.controller;
+        return controller.remaining(this.source, controller.player.video.currentTime);
+    }
+
+    get playing() {
+        let controller = this.source.presentation.controller;
+        return controller.state == PresentationController.bufferAvailable &&
+                !controller.player.video.seeking;
+    }
+
+    // called when the viewer seeks; the buffer refills from the new position
+    seeking() {
+        this.bufferFilled = false;
+    }
+
+    select(content) {
+        let current = content.currentRepresentation;
+        let candidates = content.selectableRepresentations();
+        let throughput = this.throughput;
+
+        // nothing to base a decision on until a segment has been downloaded
+        if (throughput == undefined || candidates.length < 2)
+            return current;
+
+        let options = this.options;
+        let buffer = this.bufferLevel;
+        let usable = throughput * options.abrSafetyFactor;
+
+        if (this.playing && buffer >= options.abrLowBuffer)
+            this.bufferFilled = true;
+
+        // when the buffer drains during playback until almost empty, drop to
+        // the lowest bitrate to refill it as quickly as possible
+        let low = this.playing && this.bufferFilled && buffer < options.abrLowBuffer;
+        if (low && current != candidates[0])
+            return this.switchTo(candidates[0], throughput, buffer);
+
+        // the best fit is the highest bandwidth sustainable by the usable
+        // throughput, or the lowest bandwidth if none are sustainable
+        let bestFit = candidates[0];
+        for (let representation of candidates) {
+            if (representation.bandwidth <= usable)
+                bestFit = representation;
+        }
+
+        if (bestFit.bandwidth < current.bandwidth)
+            return this.switchTo(bestFit, throughput, buffer);
+
+        if (bestFit.bandwidth > current.bandwidth) {
+            let headroom = bestFit.bandwidth * options.abrSwitchUpFactor <= usable;
+            let buffered = buffer >= options.abrSwitchUpBuffer;
+            let settled  = this.lastSwitch == undefined ||
+                            (performance.now() - this.lastSwitch) >=
+                                options.abrMinSwitchInterval * 1000;
+
+            if (headroom && buffered && settled)
+                return this.switchTo(bestFit, throughput, buffer);
+        }
+
+        return current;
+    }
+
+    switchTo(representation, throughput, buffer) {
+        this.lastSwitch = performance.now();
+        console.log(`${this.source.contentType} switching to representation ` +
+                    `${representation.id} (${representation.bandwidth}bps), ` +
+                    `throughput: ${(throughput / 1024).toFixed(2)}kbps, ` +
+                    `buffer: ${buffer.toFixed(2)}s`);
+        return representation;
+    }
+};
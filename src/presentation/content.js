@@ -9,11 +9,35 @@ class Content extends PlayerObject {
 
         this.segments               = [];
         this.repeatSegment          = undefined;
+
+        // seconds; segment times are on the media timeline, which starts at
+        // presentationTimeOffset at the start of the interval
+        this.presentationTimeOffset = 0;
+
+        // segment indexes of SegmentBase representations, keyed by id
+        this.indexes                = {};
+        this.loadingIndexes         = {};
+        this.failedIndexes          = {};
     }
 
     addRepresentation(representation) {
         this.representations.push(representation);
 
+        // on demand representations can only generate segments once their
+        // segment index has been downloaded. the first index to load is used
+        // to generate the timeline (subsegments are aligned between
+        // representations), the remainder provide byte ranges
+        if (representation.segmentBase) {
+            this.loadIndex(representation);
+            return;
+        }
+
+        // sidecar text files have no segments; the whole file is loaded once
+        if (representation.sidecar) {
+            this.state = Content.initialised;
+            return;
+        }
+
         if (this.state == Content.uninitialised) {
             this.updateTimelineWith(representation);
             this.state = Content.initialised;
@@ -21,16 +45,96 @@ class Content extends PlayerObject {
     }
 
     selectRepresentation() {
-        // should refer to this.source.codecs and bandwidth etc. but for now
-        // always pick the representation with the 'middle' bandwidth
-        let sorted = Array.from(this.representations);
-        sorted.sort((a, b) => a.bandwidth - b.bandwidth);
-        this.currentRepresentation = sorted[Math.floor(sorted.length / 2)];
+        // no throughput has been measured when the initial representation is
+        // chosen, so start with the representation with the 'middle'
+        // bandwidth. after that the source's bitrate controller decides.
+        if (!this.currentRepresentation) {
+            let sorted = this.selectableRepresentations();
+            this.currentRepresentation = sorted[Math.floor(sorted.length / 2)];
+            return;
+        }
+
+        // the current representation may not be selectable yet if it's a
+        // SegmentBase representation whose index is still loading
+        let selectable = this.selectableRepresentations();
+        if (selectable.length == 0)
+            return;
+        if (selectable.indexOf(this.currentRepresentation) == -1)
+            this.currentRepresentation = selectable[Math.floor(selectable.length / 2)];
+
+        // a representation locked by the viewer overrides automatic selection
+        let locked = this.source.lockedRepresentation;
+        if (locked != null) {
+            let representation = selectable.find((r) => r.id == locked);
+            if (representation) {
+                this.currentRepresentation = representation;
+                return;
+            }
+        }
+
+        // text sources have no bitrate controller
+        let bitrateController = this.source.bitrateController;
+        if (!bitrateController || !this.source.presentation.controller.options.abrEnabled)
+            return;
+
+        this.currentRepresentation = bitrateController.select(this);
+    }
+
+    // representations sorted by bandwidth, excluding those whose init file
+    // couldn't be loaded, those the browser can't play, and SegmentBase
+    // representations whose index hasn't been loaded yet
+    selectableRepresentations() {
+        let failed = this.source.failedRepresentations;
+        let playable = this.representations.filter((representation) =>
+            !failed[representation.key] && this.source.canPlay(representation)
+        );
+
+        if (playable.length == 0) {
+            this.noPlayableRepresentations();
+            return [];
+        }
+
+        // representations which would recreate the buffer (see
+        // Source.recreatesBuffer) are only used when no others can be, e.g
+        // in a period with a different codec
+        let sameType = playable.filter((representation) =>
+            !this.source.recreatesBuffer(representation)
+        );
+        if (sameType.length > 0)
+            playable = sameType;
+
+        // before any index has loaded every playable representation is a
+        // candidate
+        let selectable = playable.filter((representation) =>
+            !representation.segmentBase || this.indexes[representation.id]
+        );
+        if (selectable.length == 0)
+            selectable = playable;
+
+        selectable.sort((a, b) => a.bandwidth - b.bandwidth);
+        return selectable;
+    }
+
+    // text tracks without a usable representation are left empty; failures
+    // loading text are reported as they happen
+    noPlayableRepresentations() {
+        if (this.source.contentType == 'text')
+            return;
+
+        this.source.presentation.controller.error(new PlayerError(
+            PlayerError.codecUnsupportedError,
+            `no playable ${this.source.contentType} representations in ` +
+            `interval ${this.interval.id}`,
+            true,
+            {contentType: this.source.contentType}
+        ));
     }
 
     updateTimelineWith(representation) {
         if (representation.segmentTemplate)
             this.updateTimelineWithTemplate(representation)
+        else if (representation.segmentBase)
+            this.updateTimelineWithIndex(representation)
         else
             this.updateTimelineWithList(representation)
     }
@@ -38,11 +142,13 @@ class Content extends PlayerObject {
     updateTimelineWithTemplate(representation) {
         let template = representation.segmentTemplate;
         let timeline = template.segmentTimeline;
+        this.presentationTimeOffset = template.presentationTimeOffset / template.timescale;
 
-        // without a timeline, only the template is used to generate segments
+        // without a timeline, only the template is used to generate segments.
+        // the first segment starts at the start of the interval.
         if (!timeline) {
             this.repeatSegment = new Segment(
-                template.duration, 0, 0,
+                template.duration, 0, template.presentationTimeOffset,
                 template.timescale, this
             );
 
@@ -104,20 +210,22 @@ class Content extends PlayerObject {
         }
     }
 
+    // list segments are contiguous, and the first segment starts at the
+    // presentationTimeOffset in media time
     updateTimelineWithList(representation) {
         let list = representation.segmentList;
         let timescale = list.timescale;
         let duration = list.duration;
         let number = 0;
-        let time = 0;
+        let time = list.presentationTimeOffset;
+        this.presentationTimeOffset = list.presentationTimeOffset / timescale;
 
         this.segments = [];
 
         for (let segmentURL of list.segmentURLs) {
             let segment = new Segment(
                 duration, number, time,
-                timescale, this, segmentURL.media,
-                segmentURL.mediaRange
+                timescale, this
             );
 
             this.segments.push(segment);
@@ -134,15 +242,128 @@ class Content extends PlayerObject {
 
     }
 
+    updateTimelineWithIndex(representation) {
+        let index = this.indexes[representation.id];
+        if (!index)
+            return;
+
+        let segmentBase = representation.segmentBase;
+        this.presentationTimeOffset = segmentBase.presentationTimeOffset / segmentBase.timescale;
+
+        // segments from an index have no url or range of their own. both are
+        // determined by the representation when the segment is downloaded.
+        this.segments = index.references.map((reference, number) => {
+            return new Segment(
+                reference.duration, number, reference.time,
+                index.timescale, this
+            );
+        });
+
+        console.log(`updated ${this.source.contentType} ` +
+                    `interval ${this.interval.id} ` +
+                    `with ${this.segments.length} indexed segments ` +
+                    `${this.segments[0].start.toFixed(2)} - ` +
+                    this.segments[this.segments.length - 1].end.toFixed(2)
+        );
+    }
+
+
+    // ---------------------------
+    // segment indexes
+    // ---------------------------
+    loadIndex(representation) {
+        if (representation.segmentBase.indexRange == undefined)
+            throw `SegmentBase of representation ${representation.id} has no indexRange`;
+
+        if (this.loadingIndexes[representation.id])
+            return;
+        this.loadingIndexes[representation.id] = true;
+
+        let indexFile = new IndexFile(this, representation);
+        this.source.presentation.controller.downloader.getMedia(
+            indexFile.uri,
+            indexFile.range,
+            indexFile
+        );
+    }
+
+    // segments of SegmentBase representations can only be downloaded once
+    // the representation's index has loaded
+    hasIndex(representation) {
+        return !representation.segmentBase ||
+                this.indexes[representation.id] != undefined;
+    }
+
+    indexLoaded(representation, index) {
+        this.loadingIndexes[representation.id] = false;
+        // hierarchical references point to further sidx boxes rather than
+        // media and aren't followed
+        this.indexes[representation.id] = {
+            timescale:  index.timescale,
+            references: index.references.filter((reference) =>
+                !reference.hierarchical
+            )
+        };
+
+        // the controller waits for all content to be initialised before
+        // buffering segments
+        if (this.state == Content.uninitialised) {
+            this.updateTimelineWith(representation);
+            this.state = Content.initialised;
+            this.source.presentation.controller.sourceInitialised();
+        }
+    }
+
+    // representations whose index can't be loaded are not selectable. the
+    // error is only fatal once no representation can be used.
+    indexFailed(representation, playerError) {
+        this.loadingIndexes[representation.id] = false;
+        this.failedIndexes[representation.id] = true;
+
+        let indexed = this.representations.filter((r) => r.segmentBase);
+        let failed = indexed.filter((r) => this.failedIndexes[r.id]);
+        playerError.fatal = (failed.length == indexed.length);
+        playerError.details = {
+            contentType:    this.source.contentType,
+            representation: representation.id
+        };
+
+        this.source.presentation.controller.error(playerError);
+    }
+
+    // byte range of segment 'number' in a SegmentBase representation's file.
+    // representations may be indexed with different numbers of subsegments.
+    rangeFor(representation, number) {
+        let index = this.indexes[representation.id];
+        if (!index)
+            return undefined;
+
+        let reference = index.references[number];
+        if (!reference)
+            return undefined;
+        return `${reference.rangeStart}-${reference.rangeEnd}`;
+    }
+
     contentDerivedDuration() {
         // the duration of a period may be defined by the period's content. if
         // a timeline is provided, and the final component doesn't infinitely
         // repeat, we can calculate a fixed duration by generating segments
         if (this.repeatSegment != undefined)
             return undefined;
-        
+
+        // indexed content has no segments until its index is loaded
+        if (this.segments.length == 0)
+            return undefined;
+
         let last = this.segments[this.segments.length - 1];
-        return (last.time + last.duration) - this.interval.start;
+        return last.mediaEnd - this.presentationTimeOffset;
+    }
+
+    // the SourceBuffer timestampOffset mapping media times of the content to
+    // presentation times. interval start times are only known once the
+    // timeline has been updated.
+    get timestampOffset() {
+        return (this.interval.start || 0) - this.presentationTimeOffset;
     }
 
     timeOutOfBounds(time) {
@@ -156,6 +377,11 @@ class Content extends PlayerObject {
         if (presentation.endTime && time > presentation.endTime)
             return presentation.endTime;
 
+        // no segments are available after the availability end time
+        let availabilityEnd = presentation.availabilityEnd;
+        if (availabilityEnd != undefined && time > availabilityEnd)
+            return availabilityEnd;
+
         return false;
     }
 
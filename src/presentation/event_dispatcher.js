@@ -0,0 +1,166 @@
+// --------------------------------------------------
+// timed events
+// --------------------------------------------------
+// events from EventStreams in the manifest and emsg boxes in segments are
+// collected here, and reported as player:event events when playback reaches
+// their presentation time. events are identified by scheme, value and id,
+// or presentation time when they have no id; the same event may be repeated
+// in several segments or manifest reloads, but is only reported once each
+// time playback passes it.
+class EventDispatcher extends PlayerObject {
+    constructor(presentation) {
+        this.presentation   = presentation;
+        this.player         = presentation.player;
+
+        // pending and fired events sorted by presentation time, and keyed by
+        // scheme, value and id (or time)
+        this.events         = [];
+        this.keys           = {};
+        this.lastTime       = undefined;
+    }
+
+    // returns false when the event has already been added
+    add(event) {
+        let id = (event.id != undefined) ? event.id : `@${event.presentationTime}`;
+        let key = `${event.schemeIdUri}|${event.value}|${id}`;
+        if (this.keys[key])
+            return false;
+
+        event.key = key;
+        event.fired = false;
+        this.keys[key] = event;
+
+        let index = this.events.findIndex((other) =>
+            other.presentationTime > event.presentationTime
+        );
+
+        if (index == -1)
+            this.events.push(event);
+        else
+            this.events.splice(index, 0, event);
+
+        return true;
+    }
+
+    // event times are relative to the start of their period
+    addManifestEvents() {
+        for (let interval of this.presentation.timeline.intervals) {
+            if (interval.start == undefined)
+                continue;
+
+            for (let stream of interval.period.eventStreams) {
+                for (let event of stream.events) {
+                    let time = event.presentationTime - stream.presentationTimeOffset;
+                    let duration = event.duration;
+
+                    this.add({
+                        schemeIdUri:        stream.schemeIdUri,
+                        value:              stream.value,
+                        id:                 event.id,
+                        presentationTime:   interval.start + (time / stream.timescale),
+                        duration:           (duration != undefined) ?
+                                                duration / stream.timescale : undefined,
+                        messageData:        event.messageData
+                    });
+                }
+            }
+        }
+    }
+
+    // version 0 emsg boxes are timed relative to the start of the segment
+    // they were found in, version 1 boxes in media time. message data is
+    // copied so the segment's data isn't retained.
+    addInbandEvent(emsg, segment) {
+        let time;
+        if (emsg.version == 0)
+            time = segment.start + (emsg.timeDelta / emsg.timescale);
+        else
+            time = (emsg.time / emsg.timescale) + segment.content.timestampOffset;
+
+        let added = this.add({
+            schemeIdUri:        emsg.schemeIdUri,
+            value:              emsg.value,
+            id:                 emsg.id,
+            presentationTime:   time,
+            duration:           (emsg.duration != undefined) ?
+                                    emsg.duration / emsg.timescale : undefined,
+            messageData:        emsg.messageData.slice()
+        });
+
+        // manifest updates are signalled in every segment until the new
+        // manifest is published; each distinct update reloads once
+        if (added && emsg.schemeIdUri == MPD_EVENT_SCHEME) {
+            console.log(`manifest update signalled in ${segment.uri()}`);
+            this.presentation.controller.loadManifest();
+        }
+    }
+
+
+    // ---------------------------
+    // dispatch
+    // ---------------------------
+    // called every tick during playback. events are fired when playback
+    // passes their start time. after starting or seeking, events already in
+    // progress at the playhead are fired; earlier events aren't.
+    dispatch(time) {
+        for (let event of this.events) {
+            if (event.presentationTime > time)
+                break;
+
+            if (event.fired)
+                continue;
+
+            let end = event.presentationTime + (event.duration || 0);
+            let passed = (this.lastTime != undefined) &&
+                            event.presentationTime >= this.lastTime;
+
+            if (passed || end >= time)
+                this.fire(event);
+        }
+
+        this.lastTime = time;
+        this.removeExpired();
+    }
+
+    fire(event) {
+        event.fired = true;
+        console.log(`event ${event.schemeIdUri} ${event.value} ${event.id} ` +
+                    `at ${event.presentationTime.toFixed(2)}`);
+
+        this.player.emit('event', {
+            schemeIdUri:        event.schemeIdUri,
+            value:              event.value,
+            id:                 event.id,
+            presentationTime:   event.presentationTime,
+            duration:           event.duration,
+            messageData:        event.messageData
+        });
+    }
+
+    // events after the new playhead position fire again when reached
+    seek(time) {
+        for (let event of this.events) {
+            if (event.presentationTime >= time)
+                event.fired = false;
+        }
+
+        this.lastTime = undefined;
+    }
+
+    // events of dynamic presentations are removed once they leave the
+    // timeshift window
+    removeExpired() {
+        if (this.presentation.manifest.static)
+            return;
+
+        let windowStart = this.presentation.seekableRange().start;
+        this.events = this.events.filter((event) => {
+            let end = event.presentationTime + (event.duration || 0);
+            if (end >= windowStart)
+                return true;
+
+            delete this.keys[event.key];
+            return false;
+        });
+    }
+};
@@ -10,7 +10,16 @@ class Interval extends PlayerObject {
 
         // join representations from related adaptation sets together
         this.videoContent   = new Content(this.presentation.videoSource, this);
-        this.audioContent   = new Content(this.presentation.audioSource, this);
+
+        // each audio track has its own content, keyed by the track's key.
+        // the audio source buffers the content of the selected track. periods
+        // without audio provide empty content.
+        this.audioContents  = {};
+        this.noAudioContent = new Content(this.presentation.audioSource, this);
+
+        // each text adaptation set is a separate track, with its own source
+        // and content, keyed by the source's key
+        this.textContents   = {};
 
         // add representations to content types. the set of representations in
         // a period will never change, so it's ok to only perform this once.
@@ -25,7 +34,7 @@ class Interval extends PlayerObject {
 
     contentDerivedDuration() {
         let videoDuration = this.videoContent.contentDerivedDuration() ||  -1;
-        let audioDuration = this.videoContent.contentDerivedDuration() ||  -1;
+        let audioDuration = this.audioContent.contentDerivedDuration() ||  -1;
         let max = Math.max(videoDuration, audioDuration);
 
         if (max == -1)
@@ -34,6 +43,39 @@ class Interval extends PlayerObject {
             return max;
     }
 
+    // content of the selected audio track. periods may not provide every
+    // track, so fall back to a track in the same language, or the first.
+    get audioContent() {
+        let key = this.presentation.audioTrack;
+        if (this.audioContents[key])
+            return this.audioContents[key];
+
+        let keys = Object.keys(this.audioContents);
+        let track = this.presentation.audioTrackWith(key);
+        let sameLanguage = track && keys.find((other) =>
+            this.presentation.audioTrackWith(other).matchesLanguage(track.lang)
+        );
+
+        if (sameLanguage)
+            return this.audioContents[sameLanguage];
+        if (keys.length > 0)
+            return this.audioContents[keys[0]];
+        return this.noAudioContent;
+    }
+
+    // audio content is created on demand for each audio track
+    audioContentForAdaptationSet(adaptationSet) {
+        let track = this.presentation.audioTrackFor(adaptationSet);
+        let content = this.audioContents[track.key];
+
+        if (content == undefined) {
+            content = new Content(this.presentation.audioSource, this);
+            this.audioContents[track.key] = content;
+        }
+
+        return content;
+    }
+
     contentFor(contentType) {
         if (contentType == 'video')
             return this.videoContent;
@@ -41,39 +83,124 @@ class Interval extends PlayerObject {
             return this.audioContent;
     }
 
+    textContentFor(textSource) {
+        return this.textContents[textSource.key];
+    }
+
+    // text content is created on demand for each text adaptation set
+    textContentForAdaptationSet(adaptationSet) {
+        let source = this.presentation.textSourceFor(adaptationSet);
+        let content = this.textContents[source.key];
+
+        if (content == undefined) {
+            content = new Content(source, this);
+            this.textContents[source.key] = content;
+        }
+
+        return content;
+    }
+
+    // adaptation sets and representations carrying an EssentialProperty the
+    // player doesn't support must be ignored. when several video adaptation
+    // sets are provided, those with the main role are preferred; others
+    // (alternate angles, sign language etc.) aren't bitrate variants of the
+    // main video.
+    usableAdaptationSets(period) {
+        let supported = this.presentation.controller.options.supportedEssentialProperties;
+        let usable = period.adaptationSets.filter((adaptationSet) => {
+            let property = EssentialProperty.unsupported(adaptationSet, supported);
+            if (property)
+                console.warn(`ignoring adaptation set ${adaptationSet.id} with ` +
+                             `unsupported EssentialProperty ${property.schemeIdUri}`);
+            return !property;
+        });
+
+        let video = usable.filter((adaptationSet) =>
+            adaptationSet.mediaContentType == 'video'
+        );
+
+        if (video.some((adaptationSet) => adaptationSet.role == 'main')) {
+            usable = usable.filter((adaptationSet) =>
+                video.indexOf(adaptationSet) == -1 || adaptationSet.role == 'main'
+            );
+        }
+
+        return usable;
+    }
+
+    usableRepresentations(adaptationSet) {
+        let supported = this.presentation.controller.options.supportedEssentialProperties;
+        return adaptationSet.representations.filter((representation) =>
+            !EssentialProperty.unsupported(representation, supported)
+        );
+    }
+
     initialiseRepresentations(period) {
-        for (let adaptationSet of period.adaptationSets) {
-            for (let representation of adaptationSet.representations) {
-                let contentType = representation.mimeContentType;
+        for (let adaptationSet of this.usableAdaptationSets(period)) {
+            for (let representation of this.usableRepresentations(adaptationSet)) {
+                let contentType = representation.mediaContentType;
+
+                if (contentType == 'text') {
+                    let content = this.textContentForAdaptationSet(adaptationSet);
+                    content.addRepresentation(representation);
+                    continue;
+                }
+
+                if (contentType == 'audio') {
+                    let content = this.audioContentForAdaptationSet(adaptationSet);
+                    content.addRepresentation(representation);
+                    continue;
+                }
+
                 let content = this.contentFor(contentType);
+                if (content == undefined) {
+                    console.warn(`ignoring representation ${representation.id} ` +
+                                 `with unsupported type ${representation.mimeType}`);
+                    continue;
+                }
+
                 content.addRepresentation(representation);
             }
         }
 
         this.videoContent.selectRepresentation();
-        this.audioContent.selectRepresentation();
+        for (let key of Object.keys(this.audioContents))
+            this.audioContents[key].selectRepresentation();
+        for (let key of Object.keys(this.textContents))
+            this.textContents[key].selectRepresentation();
     }
 
     updateWith(period) {
         this.period = period;
 
-        // find the first video and audio representation, and use the template
-        // from each to update the content objects
+        // find the first video representation and the first representation
+        // of each audio track, and use the template from each to update the
+        // content objects
         let videoUpdated = false;
-        let audioUpdated = false;
+        let audioUpdated = {};
+
+        for (let adaptationSet of this.usableAdaptationSets(period)) {
+            for (let representation of this.usableRepresentations(adaptationSet)) {
+                let contentType = representation.mediaContentType;
 
-        for (let adaptationSet of period.adaptationSets) {
-            for (let representation of adaptationSet.representations) {
-                let contentType = representation.mimeContentType;
+                if (contentType == 'text') {
+                    let content = this.textContentForAdaptationSet(adaptationSet);
+                    if (!representation.sidecar)
+                        content.updateTimelineWith(representation);
+                    break;
+                }
 
                 if (contentType == 'video' && !videoUpdated) {
                     this.videoContent.updateTimelineWith(representation);
                     videoUpdated = true;
                     break;
 
-                } else if (contentType == 'audio' && !audioUpdated) {
-                    this.audioContent.updateTimelineWith(representation);
-                    audioUpdated = true;
+                } else if (contentType == 'audio') {
+                    let content = this.audioContentForAdaptationSet(adaptationSet);
+                    let key = this.presentation.audioTrackFor(adaptationSet).key;
+                    if (!audioUpdated[key])
+                        content.updateTimelineWith(representation);
+                    audioUpdated[key] = true;
                     break;
                 }
             }
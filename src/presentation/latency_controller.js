@@ -0,0 +1,139 @@
+// --------------------------------------------------
+// live latency
+// --------------------------------------------------
+// when the targetLatency option is set, live playback is kept targetLatency
+// seconds behind the live edge. stalls and pauses leave playback further
+// behind; small differences are corrected by playing slightly faster or
+// slower, within the latencyMinPlaybackRate and latencyMaxPlaybackRate
+// bounds. once latency exceeds maxLatency the playhead jumps forward to the
+// target instead. latency added by the viewer, by pausing or seeking back
+// into the timeshift window, is kept: control is suspended until playback
+// returns to the target latency (e.g by seeking to the live edge).
+var LATENCY_RATE_GAIN = 0.1;        // playback rate change per second of drift
+var LATENCY_CATCH_UP_BUFFER = 1;    // seconds; min buffer ahead to speed up
+
+class LatencyController extends PlayerObject {
+    constructor(controller) {
+        this.controller     = controller;
+        this.presentation   = controller.presentation;
+        this.player         = controller.player;
+        this.options        = controller.options;
+        this.playbackRate   = 1;
+        this.suspended      = false;
+        this.playerSeeking  = false;
+    }
+
+    get enabled() {
+        return this.options.targetLatency != undefined &&
+                this.presentation.manifest.dynamic;
+    }
+
+    get maxLatency() {
+        if (this.options.maxLatency != undefined)
+            return this.options.maxLatency;
+        return this.options.targetLatency * 2;
+    }
+
+    // seconds behind the live edge, or undefined for static presentations
+    latency(time) {
+        if (!this.presentation.manifest || this.presentation.manifest.static)
+            return undefined;
+        return this.presentation.liveEdge() - time;
+    }
+
+    // called every tick during playback
+    update(time) {
+        // e.g after a live presentation has become static
+        if (!this.enabled) {
+            this.setPlaybackRate(1);
+            return;
+        }
+
+        let video = this.player.video;
+        if (video.seeking)
+            return;
+
+        if (video.paused) {
+            this.suspend('paused');
+            return;
+        }
+
+        let target = this.options.targetLatency;
+        let latency = this.latency(time);
+
+        if (this.suspended) {
+            if (latency > target + this.options.latencyTolerance)
+                return;
+
+            console.log(`latency ${latency.toFixed(2)}s, resuming latency control`);
+            this.suspended = false;
+        }
+
+        if (latency > this.maxLatency) {
+            let seekTo = this.presentation.liveEdge() - target;
+            console.warn(`latency ${latency.toFixed(2)}s exceeds ` +
+                         `${this.maxLatency.toFixed(2)}s, seeking to ` +
+                         `${seekTo.toFixed(2)}`);
+            this.setPlaybackRate(1);
+            this.seek(seekTo);
+            return;
+        }
+
+        // the rate is proportional to the drift from the target. playback
+        // only speeds up while there's media buffered ahead, otherwise
+        // catching up would cause a stall and add to the latency.
+        let drift = latency - target;
+        let rate = 1;
+
+        if (Math.abs(drift) > this.options.latencyTolerance)
+            rate = 1 + (drift * LATENCY_RATE_GAIN);
+
+        rate = Math.min(rate, this.options.latencyMaxPlaybackRate);
+        rate = Math.max(rate, this.options.latencyMinPlaybackRate);
+
+        let buffered = this.presentation.videoSource.bufferedFrom(time);
+        if (rate > 1 && buffered < LATENCY_CATCH_UP_BUFFER)
+            rate = 1;
+
+        this.setPlaybackRate(rate);
+    }
+
+    // seeks made by the player, rather than the viewer, e.g to start
+    // playback or catch up to the target latency
+    seek(time) {
+        this.playerSeeking = true;
+        this.player.video.currentTime = time;
+    }
+
+    // called when the video element starts seeking. seeks made by the
+    // viewer suspend latency control.
+    seeking() {
+        if (this.playerSeeking) {
+            this.playerSeeking = false;
+            return;
+        }
+
+        if (this.enabled)
+            this.suspend('seeked');
+    }
+
+    suspend(reason) {
+        if (this.suspended)
+            return;
+
+        console.log(`playback ${reason}, latency control suspended`);
+        this.suspended = true;
+        this.setPlaybackRate(1);
+    }
+
+    // rates are rounded so the video element isn't updated every tick
+    setPlaybackRate(rate) {
+        rate = Math.round(rate * 100) / 100;
+        if (rate == this.playbackRate)
+            return;
+
+        console.log(`playback rate now ${rate.toFixed(2)}`);
+        this.playbackRate = rate;
+        this.player.video.playbackRate = rate;
+    }
+};
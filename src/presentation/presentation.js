@@ -8,27 +8,149 @@ class Presentation extends PlayerObject {
         this.operationMode  = undefined;
         this.manifest       = null;
 
+        // seconds to add to the local clock to estimate the server's clock.
+        // dynamic presentations synchronise with a time server before
+        // buffering, using each UTCTiming source in turn until one succeeds.
+        this.clockOffset    = 0;
+        this.clockState     = Presentation.unsynchronised;
+        this.timingSources  = [];
+
         // sources and timelines
         this.videoSource    = new Source('video', this);
         this.audioSource    = new Source('audio', this);
+        this.textSources    = [];
+
+        // audio tracks in the presentation, and the key of the selected track
+        this.audioTracks    = [];
+        this.audioTrack     = undefined;
         this.timeline       = new Timeline(this);
+        this.events         = new EventDispatcher(this);
         this.startTime      = undefined;
         this.endTime        = undefined;
+
+        // set when a dynamic manifest is republished as static, i.e a live
+        // event has ended and can now be played as a recording
+        this.wasDynamic     = false;
     }
 
     destruct() {
         this.videoSource.destruct();
         this.audioSource.destruct();
+        for (let source of this.textSources)
+            source.destruct();
     }
 
     // seconds since the start of the presentation. liveEdge == 0 is the start
     // of the presentation. the live edge is used when calculating the time
     // segments become available for download, and when determining the time
-    // ranges to use when queueing segments
+    // ranges to use when queueing segments. the live edge stops advancing at
+    // the availability end time.
     liveEdge() {
         let available = this.manifest.availabilityStartTime;
-        let now = Date.now() / 1000;
-        return now - available;
+        let edge = this.now() - available;
+
+        let end = this.availabilityEnd;
+        if (end != undefined)
+            edge = Math.min(edge, end);
+
+        return edge;
+    }
+
+    // presentation time of MPD@availabilityEndTime. no segments are
+    // generated beyond it, and live presentations end once it has passed.
+    get availabilityEnd() {
+        let end = this.manifest.availabilityEndTime;
+        if (end == undefined)
+            return undefined;
+        return end - this.manifest.availabilityStartTime;
+    }
+
+    get availabilityEnded() {
+        let end = this.manifest.availabilityEndTime;
+        return end != undefined && this.now() >= end;
+    }
+
+    // wall clock time in seconds, corrected by the estimated clock offset
+    now() {
+        return (Date.now() / 1000) + this.clockOffset;
+    }
+
+    // range of presentation times the viewer can seek to. static
+    // presentations can seek anywhere. dynamic presentations can seek within
+    // the timeshift window behind the live edge; when timeShiftBufferDepth is
+    // absent the window is unbounded, and when noTimeshift is set only media
+    // remaining in the buffer can be seeked to.
+    seekableRange() {
+        if (this.manifest.static)
+            return {start: 0, end: this.timeline.duration};
+
+        let end = this.liveEdge();
+        let depth = this.manifest.timeShiftBufferDepth;
+        let start = 0;
+
+        if (this.controller.options.noTimeshift)
+            start = Math.min(Math.max(this.videoSource.bufferStart, 0), end);
+        else if (depth != undefined)
+            start = Math.max(end - depth, 0);
+
+        return {start, end};
+    }
+
+    sourceFor(contentType) {
+        if (contentType == 'video')
+            return this.videoSource;
+        else if (contentType == 'audio')
+            return this.audioSource;
+    }
+
+    // audio tracks are registered as audio adaptation sets are encountered
+    audioTrackFor(adaptationSet) {
+        let key = AudioTrack.keyFor(adaptationSet);
+        let track = this.audioTrackWith(key);
+
+        if (track == undefined) {
+            track = new AudioTrack(key, adaptationSet);
+            this.audioTracks.push(track);
+        }
+
+        return track;
+    }
+
+    audioTrackWith(key) {
+        return this.audioTracks.find((track) => track.key == key);
+    }
+
+    // the initial track is chosen from the tracks in the preferred language
+    // if any match, otherwise from all tracks. the main track is preferred,
+    // falling back to the first track in the manifest.
+    selectInitialAudioTrack() {
+        let language = this.controller.options.preferredAudioLanguage;
+        let candidates = this.audioTracks.filter((track) =>
+            track.matchesLanguage(language)
+        );
+
+        if (candidates.length == 0)
+            candidates = this.audioTracks;
+
+        let track = candidates.find((track) => track.role == 'main') ||
+                    candidates[0];
+        if (track)
+            this.audioTrack = track.key;
+    }
+
+    // text sources are created as text adaptation sets are encountered, and
+    // each adds a track to the video element
+    textSourceFor(adaptationSet) {
+        let key = TextSource.keyFor(adaptationSet);
+        let source = this.textSources.find((source) => source.key == key);
+
+        if (source == undefined) {
+            source = new TextSource(key, adaptationSet, this);
+            source.createTrack();
+            this.textSources.push(source);
+        }
+
+        return source;
     }
 
     get hasAvailabilityStartTime() {
@@ -46,16 +168,33 @@ class Presentation extends PlayerObject {
     }
 
     updateManifest(manifest) {
+        let becameStatic = this.manifest != null && this.manifest.dynamic &&
+                            manifest.static;
+
         this.manifest = manifest;
         this.determineOperationMode();
 
-        // increase the presentation end time
+        // the live end time no longer limits the segments of a recording
+        if (becameStatic) {
+            console.log('live presentation has become static');
+            this.wasDynamic = true;
+            this.endTime = undefined;
+        }
+
+        // increase the presentation end time. main live manifests may have a
+        // minimumUpdatePeriod of 0; they remain valid until an update is
+        // signalled, and the end time follows the live edge.
         if (this.operationMode >= Presentation.simpleLiveOperation)
-            this.endTime = this.liveEdge() + manifest.minimumUpdatePeriod;
+            this.endTime = this.liveEdge() + (manifest.minimumUpdatePeriod || 0);
 
         this.timeline.update();
+        this.events.addManifestEvents();
 
-        if (Number.isNaN(this.player.duration)) {
+        // the final duration can only be set once the buffers are idle, so
+        // it's left to the controller
+        if (becameStatic) {
+            this.controller.presentationBecameStatic();
+        } else if (Number.isNaN(this.player.duration)) {
             let manifest      = this.manifest;
             let knownDuration = (this.timeline.duration != undefined);
             let isStatic      = (manifest.static);
@@ -66,11 +205,85 @@ class Presentation extends PlayerObject {
         }
 
         if (this.state == Presentation.uninitialised) {
+            this.selectInitialAudioTrack();
+
+            if (manifest.dynamic)
+                this.synchroniseClock();
+            else
+                this.clockState = Presentation.synchronised;
+
             this.controller.sourcesPrepared();
             this.state = Presentation.initialised;
         }
     }
 
+
+    // ---------------------------
+    // clock synchronisation
+    // ---------------------------
+    synchroniseClock() {
+        if (this.clockState == Presentation.synchronising)
+            return;
+
+        this.timingSources = this.manifest.utcTimings.filter((timing) =>
+            timing.supported
+        );
+
+        let fallback = this.controller.options.utcTimingURL;
+        if (fallback)
+            this.timingSources.push({kind: 'http-xsdate', value: fallback});
+
+        this.clockState = Presentation.synchronising;
+        this.attemptClockSync(0);
+    }
+
+    attemptClockSync(index) {
+        let timing = this.timingSources[index];
+
+        if (timing == undefined) {
+            console.warn('no time source could be used, using local clock');
+            this.clockSynchronised(this.clockOffset);
+            return;
+        }
+
+        // direct timings provide the server time in the manifest itself
+        if (timing.kind == 'direct') {
+            try {
+                let serverTime = date(timing.value);
+                this.clockSynchronised(serverTime - (Date.now() / 1000));
+            } catch (e) {
+                console.warn(`invalid direct UTCTiming value: ${e}`);
+                this.attemptClockSync(index + 1);
+            }
+            return;
+        }
+
+        let clockSync = new ClockSync(this, timing);
+        this.controller.downloader.getTiming(
+            clockSync.uri,
+            clockSync.method,
+            clockSync
+        );
+    }
+
+    clockSyncFailed(timing) {
+        let index = this.timingSources.indexOf(timing);
+        this.attemptClockSync(index + 1);
+    }
+
+    clockSynchronised(offset) {
+        this.clockOffset = offset;
+        this.clockState = Presentation.synchronised;
+        console.log(`clock synchronised, offset ${offset.toFixed(3)}s`);
+
+        // buffering waits for the clock to be synchronised
+        this.controller.sourceInitialised();
+    }
+
+    get clockSynchronisable() {
+        return this.timingSources.length > 0;
+    }
+
     // ---------------------------
     // playback operation mode
     // ---------------------------
@@ -78,7 +291,10 @@ class Presentation extends PlayerObject {
         if (this.manifest.static) {
             this.operationMode = Presentation.staticOperation;
         } else {
-            if (this.manifest.minimumUpdatePeriod)
+            let updatePeriod = this.manifest.minimumUpdatePeriod;
+            if (updatePeriod === 0 || this.manifest.signalsInbandUpdates)
+                this.operationMode = Presentation.mainLiveOperation;
+            else if (updatePeriod)
                 this.operationMode = Presentation.simpleLiveOperation;
             else
                 this.operationMode = Presentation.dynamicOperation;
@@ -94,8 +310,15 @@ class Presentation extends PlayerObject {
     }
 
     get willReloadManifest() {
-        return this.operationMode != Presentation.staticOperation &&
-                this.manifest.minimumUpdatePeriod != undefined;
+        return this.operationMode == Presentation.mainLiveOperation ||
+                (this.operationMode != Presentation.staticOperation &&
+                 this.manifest.minimumUpdatePeriod != undefined);
+    }
+
+    // main live manifests are reloaded when an update is signalled, and
+    // periodically only when they have a non zero minimumUpdatePeriod
+    get reloadsPeriodically() {
+        return this.willReloadManifest && this.manifest.minimumUpdatePeriod > 0;
     }
 
     get hasKnownDuration() {
@@ -108,9 +331,15 @@ Presentation.enum('states', [
     'initialised'
 ]);
 
+Presentation.enum('clockStates', [
+    'unsynchronised',
+    'synchronising',
+    'synchronised'
+]);
+
 Presentation.enum('operationModes', [
     'staticOperation',          // on demand
     'dynamicOperation',         // live edge
     'simpleLiveOperation',      // live, reloading
-    'mainLiveOperation'         // not supported
+    'mainLiveOperation'         // live, reloading when signalled
 ]);
@@ -0,0 +1,358 @@
+// --------------------------------------------------
+// content protection (encrypted media extensions)
+// --------------------------------------------------
+// protected presentations list key systems in ContentProtection elements.
+// the first listed key system configured in the keySystems option is used.
+// key sessions are created from pssh boxes in the manifest, and from init
+// data found in init files (the video element's encrypted event). session
+// messages are passed to the licenseRequest hook, or when none is provided,
+// posted to the key system's licenseURL. clear key licenses can also be
+// generated locally from keys provided in the clearKeys option.
+var CLEAR_KEY_SYSTEM = 'org.w3.clearkey';
+
+class Protection extends PlayerObject {
+    constructor(controller) {
+        this.controller     = controller;
+        this.player         = controller.player;
+        this.options        = controller.options;
+        this.state          = Protection.unprotected;
+
+        this.keySystem      = null;
+        this.mediaKeys      = null;
+        this.protections    = [];
+
+        // sessions are created once for each distinct init data. init data
+        // encountered before media keys are available waits in pending.
+        this.sessions       = [];
+        this.initData       = {};
+        this.pendingInitData = [];
+
+        this.player.video.addEventListener('encrypted',
+            this.encryptedHandler = (event) => {
+                this.encrypted(event.initDataType, event.initData);
+            }
+        );
+    }
+
+    destruct() {
+        this.player.video.removeEventListener('encrypted', this.encryptedHandler);
+        for (let session of this.sessions)
+            session.close().catch(() => {});
+        this.sessions = [];
+    }
+
+    get keySystemOptions() {
+        return this.options.keySystems[this.keySystem] || {};
+    }
+
+
+    // ---------------------------
+    // key system access
+    // ---------------------------
+    // called with the initial representations of each source before buffers
+    // are created. media keys are set asynchronously; playback of encrypted
+    // media waits for keys, so buffering continues in the meantime.
+    setup(representations) {
+        this.protections = [];
+        for (let representation of representations)
+            this.protections = this.protections.concat(representation.protections);
+
+        if (this.protections.length == 0)
+            return;
+
+        // key systems in manifest order, limited to those configured
+        let configured = this.options.keySystems;
+        let keySystems = [];
+        for (let protection of this.protections) {
+            let keySystem = protection.keySystem;
+            if (keySystem && configured[keySystem] && keySystems.indexOf(keySystem) == -1)
+                keySystems.push(keySystem);
+        }
+
+        // manifests may only signal that content is encrypted (the
+        // mp4protection descriptor, often with a default key id) without
+        // naming key systems. the configured key systems are tried in order;
+        // init data comes from init files, or default key ids for clear key.
+        let signalled = this.protections.some((protection) => protection.keySystem);
+        if (!signalled)
+            keySystems = Object.keys(configured);
+
+        if (keySystems.length == 0) {
+            this.error(PlayerError.keySystemError,
+                       'protected content has no configured key system');
+            return;
+        }
+
+        if (!navigator.requestMediaKeySystemAccess) {
+            this.error(PlayerError.keySystemError,
+                       'encrypted media extensions are not supported');
+            return;
+        }
+
+        let configuration = {
+            initDataTypes:      ['cenc', 'keyids'],
+            videoCapabilities:  [],
+            audioCapabilities:  []
+        };
+
+        for (let representation of representations) {
+            let capabilities = (representation.mimeContentType == 'video') ?
+                                configuration.videoCapabilities :
+                                configuration.audioCapabilities;
+            capabilities.push({contentType: representation.mseType});
+        }
+
+        this.state = Protection.requestingAccess;
+        this.requestAccess(keySystems, 0, configuration);
+    }
+
+    requestAccess(keySystems, index, configuration) {
+        let keySystem = keySystems[index];
+        if (keySystem == undefined) {
+            this.error(PlayerError.keySystemError,
+                       `no key system is available (tried ${keySystems.join(', ')})`);
+            return;
+        }
+
+        console.log(`requesting access to key system ${keySystem}`);
+        navigator.requestMediaKeySystemAccess(keySystem, [configuration])
+            .then((access) => access.createMediaKeys())
+            .then((mediaKeys) => {
+                this.keySystem = keySystem;
+                this.mediaKeys = mediaKeys;
+                return this.player.video.setMediaKeys(mediaKeys);
+            })
+            .then(() => this.keysReady())
+            .catch((e) => {
+                console.warn(`key system ${keySystem} unavailable: ${e}`);
+                this.mediaKeys = null;
+                this.requestAccess(keySystems, index + 1, configuration);
+            });
+    }
+
+    keysReady() {
+        this.state = Protection.ready;
+        console.log(`using key system ${this.keySystem}`);
+
+        // pssh boxes in the manifest for the selected key system can be used
+        // before any init file is loaded. clear key content may only provide
+        // a default key id, which is requested as keyids init data.
+        let protections = this.protections.filter((protection) =>
+            protection.keySystem == this.keySystem
+        );
+
+        for (let protection of protections) {
+            if (protection.pssh)
+                this.createSession('cenc', protection.pssh);
+        }
+
+        if (this.keySystem == CLEAR_KEY_SYSTEM && !protections.some((p) => p.pssh)) {
+            let kids = this.defaultKIDs().map((kid) => base64URL(hexBytes(kid)));
+            if (kids.length > 0)
+                this.createSession('keyids', encodeUTF8(JSON.stringify({kids})));
+        }
+
+        let pending = this.pendingInitData;
+        this.pendingInitData = [];
+        for (let item of pending)
+            this.createSession(item.initDataType, item.initData);
+    }
+
+    defaultKIDs() {
+        let kids = [];
+        for (let protection of this.protections) {
+            if (protection.defaultKID && kids.indexOf(protection.defaultKID) == -1)
+                kids.push(protection.defaultKID);
+        }
+        return kids;
+    }
+
+
+    // ---------------------------
+    // sessions
+    // ---------------------------
+    encrypted(initDataType, initData) {
+        if (this.state == Protection.unprotected) {
+            console.warn('encrypted media found, but the manifest has no ContentProtection');
+            return;
+        }
+
+        if (this.state != Protection.ready) {
+            this.pendingInitData.push({initDataType, initData});
+            return;
+        }
+
+        this.createSession(initDataType, new Uint8Array(initData));
+    }
+
+    createSession(initDataType, initData) {
+        let key = `${initDataType}:${base64URL(initData)}`;
+        if (this.initData[key])
+            return;
+        this.initData[key] = true;
+
+        let session = this.mediaKeys.createSession();
+        session.addEventListener('message', (event) => {
+            this.message(session, event);
+        });
+
+        this.sessions.push(session);
+        session.generateRequest(initDataType, initData).catch((e) => {
+            this.error(PlayerError.keySystemError,
+                       `cannot generate ${initDataType} license request: ${e}`);
+        });
+    }
+
+    // the licenseRequest option is called with the session's message and
+    // returns a promise resolving to the license
+    message(session, event) {
+        let keySystemOptions = this.keySystemOptions;
+        let request = {
+            keySystem:      this.keySystem,
+            messageType:    event.messageType,
+            message:        event.message,
+            licenseURL:     keySystemOptions.licenseURL || this.manifestLicenseURL(),
+            headers:        keySystemOptions.headers || {}
+        };
+
+        let licenseRequest = this.options.licenseRequest ||
+                                ((request) => this.defaultLicenseRequest(request));
+
+        Promise.resolve()
+            .then(() => licenseRequest(request))
+            .then((license) => session.update(toBytes(license)))
+            .catch((e) => {
+                this.error(PlayerError.licenseError,
+                           `cannot obtain ${this.keySystem} license: ${e}`);
+            });
+    }
+
+    manifestLicenseURL() {
+        let protection = this.protections.find((protection) =>
+            protection.keySystem == this.keySystem && protection.licenseURL
+        );
+        return protection ? protection.licenseURL : undefined;
+    }
+
+    defaultLicenseRequest(request) {
+        let clearKeys = this.keySystemOptions.clearKeys;
+        if (request.keySystem == CLEAR_KEY_SYSTEM && clearKeys)
+            return Protection.clearKeyLicense(request.message, clearKeys);
+
+        if (!request.licenseURL)
+            return Promise.reject(`no license url for ${request.keySystem}`);
+
+        return new Promise((resolve, reject) => {
+            let processor = new LicenseRequest(request.licenseURL, resolve, reject);
+            this.controller.downloader.getLicense(
+                request.licenseURL,
+                request.message,
+                request.headers,
+                processor
+            );
+        });
+    }
+
+    // a local stand-in for a clear key license server. the message lists the
+    // requested key ids (base64url); clearKeys maps key ids to keys, both as
+    // hex strings.
+    static clearKeyLicense(message, clearKeys) {
+        let request = JSON.parse(decodeUTF8(new Uint8Array(message)));
+        let keys = [];
+
+        // key ids may be given as uuids, with dashes and in either case
+        let keysByKID = {};
+        for (let kid of Object.keys(clearKeys))
+            keysByKID[kid.replace(/-/g, '').toLowerCase()] = clearKeys[kid];
+
+        for (let kid of request.kids) {
+            let hexKID = bytesHex(base64URLBytes(kid));
+            let key = keysByKID[hexKID];
+            if (key == undefined)
+                continue;
+
+            keys.push({
+                kty:    'oct',
+                kid,
+                k:      base64URL(hexBytes(key))
+            });
+        }
+
+        if (keys.length == 0)
+            return Promise.reject('no clear keys match the requested key ids');
+
+        let license = {keys, type: request.type || 'temporary'};
+        return Promise.resolve(encodeUTF8(JSON.stringify(license)));
+    }
+
+    // protection errors are fatal; encrypted media can't be played without
+    // keys
+    error(code, message) {
+        this.state = Protection.failed;
+        this.controller.error(new PlayerError(code, message, true, {
+            keySystem: this.keySystem
+        }));
+    }
+};
+
+Protection.enum('states', [
+    'unprotected',
+    'requestingAccess',
+    'ready',
+    'failed'
+]);
+
+
+// --------------------------------------------------
+// encoding helpers
+// --------------------------------------------------
+function encodeUTF8(text) {
+    if (window.TextEncoder)
+        return new TextEncoder().encode(text);
+
+    let chars = unescape(encodeURIComponent(text));
+    let bytes = new Uint8Array(chars.length);
+    for (let i = 0; i < chars.length; i++)
+        bytes[i] = chars.charCodeAt(i);
+    return bytes;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array)
+        return data;
+    if (ArrayBuffer.isView(data))
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    if (typeof data == 'string')
+        return encodeUTF8(data);
+    return new Uint8Array(data);
+}
+
+function hexBytes(hex) {
+    let bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++)
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+function bytesHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++)
+        hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    return hex;
+}
+
+// base64url (RFC 4648 section 5) without padding, as used by clear key
+function base64URL(bytes) {
+    bytes = toBytes(bytes);
+    let chars = '';
+    for (let i = 0; i < bytes.length; i++)
+        chars += String.fromCharCode(bytes[i]);
+    return btoa(chars).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64URLBytes(text) {
+    let base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    while (base64.length % 4 != 0)
+        base64 += '=';
+    return base64Bytes(base64);
+}
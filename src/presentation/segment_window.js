@@ -8,6 +8,7 @@ class SegmentWindow extends PlayerObject {
         this.currentTime    = undefined;
         this.playIndex      = undefined;
         this.loadIndex      = undefined;
+        this.appendIndex    = undefined;
         this.nextRangeStart = undefined;
     }
 
@@ -15,7 +16,9 @@ class SegmentWindow extends PlayerObject {
     // update segment list
     // ---------------------------
     update() {
-        if (this.presentation.willStartAtBeginning)
+        if (this.presentation.wasDynamic)
+            this.updateRecorded();
+        else if (this.presentation.willStartAtBeginning)
             this.updateStatic();
         else
             this.updateDynamic();
@@ -29,6 +32,41 @@ class SegmentWindow extends PlayerObject {
 
         this.segments = this.source.segmentsInRange(0, duration);
         this.loadIndex = 0;
+        this.appendIndex = 0;
+    }
+
+    // called when a live presentation's manifest becomes static. queued
+    // segments, and the media already buffered for them, are kept. the
+    // window is extended back to the start and on to the end of the
+    // recording so any part of it can be seeked to.
+    updateRecorded() {
+        let duration = this.timeline.duration;
+        if (duration == undefined)
+            throw 'cannot play recorded presentation with unknown duration';
+
+        let first = this.segments[0];
+        if (!first) {
+            this.updateStatic();
+            return;
+        }
+
+        let earlier = this.source.segmentsInRange(0, first.start).filter(
+            (segment) => segment.start < first.start
+        );
+
+        if (earlier.length > 0) {
+            this.segments = earlier.concat(this.segments);
+            this.loadIndex += earlier.length;
+            this.appendIndex += earlier.length;
+            if (this.playIndex != undefined)
+                this.playIndex += earlier.length;
+        }
+
+        if (this.nextRangeStart < duration)
+            this.queueSegments(this.nextRangeStart, duration, duration);
+
+        console.log(`${this.source.contentType} window now covers the ` +
+                    `recording, ${this.segments.length} segments`);
     }
 
     // called every time the manifest is loaded
@@ -67,8 +105,15 @@ class SegmentWindow extends PlayerObject {
             let timeshift = manifest.timeShiftBufferDepth;
             let minStart = rangeStart - timeshift;
 
+            // with a target latency, start from the segment at the target.
+            // the latency controller corrects any remaining difference.
+            let targetLatency = this.presentation.controller.options.targetLatency;
+            if (targetLatency != undefined) {
+                let targetSegment = this.source.segmentAt(liveEdge - targetLatency);
+                rangeStart = targetSegment ? targetSegment.start : liveEdge - targetLatency;
+
             // if a suggested delay is provided, move back by that many seconds
-            if (this.presentation.hasSuggestedDelay) {
+            } else if (this.presentation.hasSuggestedDelay) {
                 rangeStart -= this.presentation.suggestedDelay;
 
             // otherwise use the timeshift buffer to determine the start time
@@ -141,6 +186,7 @@ class SegmentWindow extends PlayerObject {
         // the next update will load from the end of the last segment
         this.nextRangeStart = newSegments[newSegments.length - 1].end;
         this.loadIndex = this.loadIndex || 0;
+        this.appendIndex = this.appendIndex || 0;
 
         // debug output
         let duration = 0.0;
@@ -159,48 +205,141 @@ class SegmentWindow extends PlayerObject {
     // ---------------------------
     // segment management
     // ---------------------------
+    // called every tick, and as each segment is received. up to
+    // maxConcurrentDownloads segments are downloaded at once, while less
+    // than target seconds of media are buffered (remaining) or on their way
+    // to the buffer ahead of the playhead.
+    fill(remaining, target) {
+        if (this.loadIndex === undefined)
+            return;
+
+        this.appendReceived();
+
+        let options = this.presentation.controller.options;
+        let limit = Math.max(options.maxConcurrentDownloads, 1);
+
+        while (remaining + this.queuedDuration < target) {
+            let downloading = this.downloading;
+            if (downloading.length >= limit)
+                return;
+
+            // progressive segments are appended while they download, so
+            // nothing is downloaded alongside them
+            if (downloading.some((segment) => segment.download.progressive))
+                return;
+
+            if (!this.downloadNextSegment())
+                return;
+        }
+    }
+
+    // segments may be received out of order. each is appended to the
+    // source once every segment before it has been appended (or failed).
+    appendReceived() {
+        if (this.appendIndex === undefined)
+            return;
+
+        while (this.appendIndex < this.segments.length) {
+            let segment = this.segments[this.appendIndex];
+            if (segment.state < Segment.received)
+                return;
+
+            if (segment.state == Segment.received) {
+                this.source.appendSegment(segment);
+                segment.state = Segment.downloaded;
+            }
+
+            this.appendIndex += 1;
+        }
+    }
+
+    // segments in flight between the append and load positions
+    get downloading() {
+        return this.queued.filter((segment) =>
+            segment.state == Segment.downloading
+        );
+    }
+
+    // seconds of media downloading, or received and waiting to be appended
+    get queuedDuration() {
+        let duration = 0;
+        for (let segment of this.queued)
+            duration += segment.durationSeconds;
+        return duration;
+    }
+
+    get queued() {
+        let segments = this.segments.slice(this.appendIndex, this.loadIndex + 1);
+        return segments.filter((segment) =>
+            segment.state == Segment.downloading ||
+            segment.state == Segment.received
+        );
+    }
+
+    // start downloading the next segment, returning true if a download was
+    // started. segments which have returned to pending since they were
+    // first downloaded (e.g to retry after an error) hold up the segments
+    // after them, so are downloaded again before moving on.
     downloadNextSegment() {
         // ignore the call if fired before any segments have been added to the
         // segment download queue
         if (this.loadIndex === undefined)
-            return;
+            return false;
 
         if (this.segments.length === 0) {
             console.warn('no segments available for download');
-            return;
+            return false;
         }
 
         let presentation = this.presentation;
         let controller = presentation.controller;
         let liveEdge = presentation.liveEdge();
 
-        // if the segment is downloading, allow it to continue
-        let segment = this.segments[this.loadIndex];
-        if (segment.state == Segment.downloading)
-            return;
+        let retry = this.segments.slice(this.appendIndex, this.loadIndex).find(
+            (segment) => segment.state == Segment.pending
+        );
+        if (retry)
+            return this.startDownload(retry);
 
-        // if the segment is downloaded (or errored) attempt to move to the
-        // next segment for downloading
-        if (segment.state >= Segment.downloaded) {
+        // if the segment has been started attempt to move to the next
+        // segment for downloading
+        let segment = this.segments[this.loadIndex];
+        if (segment.state != Segment.pending) {
 
             // if this is the last segment in the queue...
             if (this.atLastSegment()) {
+                // allow a download in progress to complete before extending
+                // the queue
+                if (segment.state < Segment.downloaded)
+                    return false;
+
                 // sometimes there is a mismatch between a presentation's
                 // reported duration (mpd) and the duration specified in the
                 // movie header (init) - catch this state here
                 if (this.presentation.hasKnownDuration)
-                    return;
+                    return false;
 
                 // the last segment may be the last segment available in the
                 // presentation. don't perform any processing in this case.
                 let duration = presentation.timeline.duration;
                 if (duration && segment.end >= duration)
-                    return;
+                    return false;
 
                 // if we're already attempting to load new segments, allow the
                 // manifest re-load to continue
                 if (controller.loadingManifest)
-                    return;
+                    return false;
+
+                // main live manifests remain valid until an update is
+                // signalled, so segments are generated up to the live edge
+                // as it advances rather than by reloading
+                let mainLive = presentation.operationMode ==
+                                    Presentation.mainLiveOperation;
+                if (mainLive) {
+                    if (this.nextRangeStart >= liveEdge)
+                        return false;
+                    presentation.endTime = Math.max(presentation.endTime, liveEdge);
+                }
 
                 // debug info
                 let time = performance.now() - controller.timeBase;
@@ -221,42 +360,254 @@ class SegmentWindow extends PlayerObject {
                 );
 
                 // if no new segments could be found in the existing manifest,
-                // try reloading the manifest early
+                // try reloading the manifest early. main live manifests wait
+                // for the live edge to reach the next segment instead.
                 if (this.atLastSegment()) {
-                    console.log('no segments remain in manifest, reloading');
                     console.groupEnd();
+                    if (mainLive)
+                        return false;
+
+                    console.log('no segments remain in manifest, reloading');
                     controller.loadManifest();
-                    return;
+                    return false;
                 } else {
                     console.groupEnd();
                 }
             }
 
             // we can cleanly move to the next segment in the queue - either
-            // one already existed, or one was just added above
+            // one already existed, or one was just added above. segments
+            // still buffered from before a seek are skipped.
             this.loadIndex += 1;
             segment = this.segments[this.loadIndex];
+            if (segment.state != Segment.pending)
+                return this.downloadNextSegment();
         }
 
+        return this.startDownload(segment);
+    }
+
+    startDownload(segment) {
+        let controller = this.presentation.controller;
+
+        // failed segments wait for their retry delay to pass
+        if (segment.retryAt && performance.now() < segment.retryAt)
+            return false;
+
         // wait until the segment can be downloaded
         if (!segment.available()) {
-            let remaining = segment.end - liveEdge;
+            let remaining = segment.end - this.presentation.liveEdge();
             console.log(`next segment isnt available yet ` +
                         `${remaining.toFixed(2)}s to go`);
-            return;
+            return false;
         }
 
-        // only remaining segment state is pending. start to download.
-        segment.state = Segment.downloading;
+        // only remaining segment state is pending. choose the representation
+        // to download the segment from. switches take effect here, at a
+        // segment boundary, and can only happen once the init file (and the
+        // index of SegmentBase representations) of the new representation is
+        // available to be appended before the segment.
+        let content = segment.content;
+        content.selectRepresentation();
+        let representation = content.currentRepresentation;
+        if (!this.source.hasInitFile(representation)) {
+            this.source.loadInitFile(representation);
+            return false;
+        }
+
+        if (!content.hasIndex(representation)) {
+            content.loadIndex(representation);
+            return false;
+        }
+
+        // progressive segments are appended as they're received, so can
+        // only start once every segment before them has been appended
+        if (segment.progressive) {
+            let index = this.segments.indexOf(segment);
+            if (index != this.appendIndex || this.downloading.length > 0)
+                return false;
+        }
 
         // cache the url, this locks it to the current representation
         let uri = segment.uri(true);
-        controller.downloader.getMedia(uri, segment.range, segment);
+
+        // the segment may be missing from the representation's index
+        if (representation.segmentBase && segment.range == undefined) {
+            segment.state = Segment.error;
+            segment.failed('no index reference', null);
+            return false;
+        }
+
+        // start to download.
+        segment.state = Segment.downloading;
+        segment.download = controller.downloader.getMedia(
+            uri,
+            segment.range,
+            segment,
+            segment.progressive
+        );
 
         if (segment.range)
             console.log(`downloading ${this.source.contentType} segment: ${uri} (${segment.range})`);
         else
             console.log(`downloading ${this.source.contentType} segment: ${uri}`);
+
+        return true;
+    }
+
+    // ---------------------------
+    // seeking
+    // ---------------------------
+    // move the download position to the segment containing time. segments
+    // already downloaded from that point on are skipped, and downloads of
+    // segments other than the new next segment are cancelled, along with
+    // received segments which haven't been appended.
+    seek(time) {
+        if (this.loadIndex === undefined)
+            return;
+
+        let index = this.indexOfSegmentAt(time);
+
+        // dynamic presentations only queue segments from the initial start
+        // point. seeking outside the queued segments (within the timeshift
+        // window) requeues segments from the new position to the live edge.
+        if (index == -1) {
+            if (this.presentation.willStartAtBeginning) {
+                console.warn(`cannot seek ${this.source.contentType} to ` +
+                             `${time.toFixed(2)}, no segment at that time`);
+                return;
+            }
+
+            this.requeueFrom(time);
+            index = this.indexOfSegmentAt(time);
+            if (index == -1)
+                index = 0;
+        }
+
+        while (index < this.segments.length - 1 &&
+                this.segments[index].state == Segment.downloaded)
+            index += 1;
+
+        for (let i = 0; i < this.segments.length; i++) {
+            if (i != index)
+                this.segments[i].cancel();
+        }
+
+        console.log(`${this.source.contentType} seeking to ` +
+                    `${time.toFixed(2)}, next segment starts ` +
+                    `${this.segments[index].start.toFixed(2)}`);
+
+        this.loadIndex = index;
+        this.appendIndex = index;
+        this.playIndex = undefined;
+    }
+
+    indexOfSegmentAt(time) {
+        return this.segments.findIndex((segment) =>
+            segment.start <= time && segment.end > time
+        );
+    }
+
+    requeueFrom(time) {
+        let liveEdge = this.presentation.liveEdge();
+        let range = this.presentation.seekableRange();
+
+        // seeks beyond the timeshift window are clamped to the window
+        time = Math.max(time, range.start);
+        time = Math.min(time, range.end);
+
+        let segment = this.source.segmentAt(time);
+        if (!segment) {
+            console.warn(`no ${this.source.contentType} segment available ` +
+                         `at ${time.toFixed(2)}`);
+            return;
+        }
+
+        // rewinding before the first queued segment adds the segments from
+        // the new position up to the existing segments
+        let first = this.segments[0];
+        if (first && segment.start < first.start) {
+            let earlier = this.source.segmentsInRange(segment.start, first.start);
+            earlier = earlier.filter((other) => other.start < first.start);
+
+            console.log(`adding ${earlier.length} earlier ` +
+                        `${this.source.contentType} segment(s) from ` +
+                        `${segment.start.toFixed(2)}`);
+
+            this.segments = earlier.concat(this.segments);
+            this.loadIndex += earlier.length;
+            this.appendIndex += earlier.length;
+            return;
+        }
+
+        // otherwise the seek is beyond the queued segments, and the window
+        // restarts from the new position
+        for (let existing of this.segments)
+            existing.cancel();
+
+        this.segments = [];
+        this.loadIndex = undefined;
+        this.appendIndex = undefined;
+        this.queueSegments(segment.start, liveEdge, liveEdge);
+    }
+
+    // ---------------------------
+    // track switching
+    // ---------------------------
+    // replace the segments after time with segments from the source's
+    // current content, e.g after the audio track is changed. media buffered
+    // after time is removed so the new track is heard as soon as possible.
+    switchContent(time) {
+        if (this.loadIndex === undefined)
+            return;
+
+        let kept = this.segments.filter((segment) => segment.end <= time);
+        let replaced = this.segments.filter((segment) => segment.end > time);
+        if (replaced.length == 0)
+            return;
+
+        for (let segment of replaced)
+            segment.cancel();
+
+        let end = replaced[replaced.length - 1].end;
+        let newSegments = this.source.segmentsInRange(time, end);
+        if (newSegments.length == 0) {
+            console.warn(`no ${this.source.contentType} segments available ` +
+                         `from ${time.toFixed(2)} after switching`);
+            return;
+        }
+
+        this.source.removeFrom(time);
+        this.segments = kept.concat(newSegments);
+        this.loadIndex = kept.length;
+        this.appendIndex = Math.min(this.appendIndex, kept.length);
+        this.playIndex = undefined;
+
+        if (this.nextRangeStart != undefined)
+            this.nextRangeStart = newSegments[newSegments.length - 1].end;
+
+        console.log(`${this.source.contentType} switched from ` +
+                    `${time.toFixed(2)}, requeued ${newSegments.length} segment(s)`);
+    }
+
+    // presentation time of the first queued segment; playback starts here
+    get startTime() {
+        let first = this.segments[0];
+        return first ? first.start : undefined;
+    }
+
+    // true once every segment before time has been appended (or failed),
+    // and no further segments can be generated before it
+    completeTo(time) {
+        let last = this.segments[this.segments.length - 1];
+        if (!last)
+            return true;
+
+        if (!this.atLastSegment() || this.appendIndex < this.segments.length)
+            return false;
+
+        return last.end >= time ||
+                this.source.segmentsInRange(last.end, time).length == 0;
     }
 
     atLastSegment() {
@@ -289,36 +640,81 @@ class SegmentWindow extends PlayerObject {
     }
 
     truncate() {
-        // keep the segment preceding the current segment and beyond. remove
-        // the remainder. truncate is called regularly, so will generally
-        // remove one segment at a time from the buffer.
-        // TODO: keep up to timeshift window if noTimeshift is false
+        if (this.source.state !== Source.initialised)
+            return;
 
-        // static presentations aren't truncated
-        if (this.presentation.willStartAtBeginning)
+        // static presentations aren't truncated. recordings of live
+        // presentations continue to evict played media from the buffer, but
+        // keep their segments so they can be seeked back to.
+        if (this.presentation.willStartAtBeginning) {
+            if (this.presentation.wasDynamic)
+                this.evictBufferedSegments();
             return;
+        }
 
+        this.evictBufferedSegments();
+        this.removeExpiredSegments();
+    }
+
+    // keep the segment preceding the current segment and beyond in the
+    // source's buffer, and remove the remainder. truncate is called
+    // regularly, so will generally remove one segment at a time from the
+    // buffer. evicted segments remain in the window and return to pending,
+    // so they're downloaded again if the viewer seeks back to them.
+    evictBufferedSegments() {
         // when the current segment is the 3rd segment or higher there is at
         // least one segment to remove
         if (this.playIndex == undefined || this.playIndex < 2)
             return;
 
-        // remove the first segment to the segment before the current segment
-        if (this.source.state === Source.initialised) {
-            let removed = this.segments.splice(0, this.playIndex - 1);
-            let count = removed.length;
+        // remove each segment from the source's buffer. do this one by one to
+        // handle non contiguous segments (rather than first.start - last.end)
+        let evicted = 0;
+        for (let i = 0; i < this.playIndex - 1; i++) {
+            let segment = this.segments[i];
+            if (segment.state != Segment.downloaded)
+                continue;
 
-            // update the indexes now segments have been removed
-            this.playIndex -= count;
-            this.loadIndex -= count;
-            if (this.loadIndex < 0)
-                this.loadIndex = 0;
-
-            // remove each segment from the source's buffer. do this one by one to
-            // handle non contiguous segments (rather than first.start - last.end)
-            console.log(`truncating ${count} ${this.source.contentType} segments`);
-            for (let segment of removed)
-                this.source.removeSegment(segment);
+            segment.reset();
+            this.source.removeSegment(segment);
+            evicted += 1;
         }
+
+        if (evicted > 0)
+            console.log(`evicted ${evicted} ${this.source.contentType} segments from the buffer`);
+    }
+
+    // segments are removed from the window once they can no longer be
+    // played. when noTimeshift is set that's any segment before the one
+    // preceding the current segment, otherwise segments are retained until
+    // they fall out of the timeshift window (the seekable range).
+    removeExpiredSegments() {
+        let count = 0;
+
+        if (this.presentation.controller.options.noTimeshift) {
+            if (this.playIndex != undefined && this.playIndex >= 2)
+                count = this.playIndex - 1;
+        } else {
+            let windowStart = this.presentation.seekableRange().start;
+            let limit = Math.min(this.loadIndex, this.appendIndex);
+            if (this.playIndex != undefined)
+                limit = Math.min(limit, this.playIndex);
+
+            while (count < limit - 1 && this.segments[count].end < windowStart)
+                count += 1;
+        }
+
+        if (count == 0)
+            return;
+
+        this.segments.splice(0, count);
+
+        // update the indexes now segments have been removed
+        if (this.playIndex != undefined)
+            this.playIndex -= count;
+        this.loadIndex = Math.max(this.loadIndex - count, 0);
+        this.appendIndex = Math.max(this.appendIndex - count, 0);
+
+        console.log(`truncating ${count} ${this.source.contentType} segments`);
     }
 };
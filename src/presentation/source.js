@@ -1,3 +1,6 @@
+// seconds; gaps smaller than this between buffered ranges are played through
+var BUFFER_GAP_TOLERANCE = 0.1;
+
 class Source extends PlayerObject {
     constructor(contentType, presentation) {
         this.presentation   = presentation;
@@ -17,6 +20,26 @@ class Source extends PlayerObject {
         // segments queued for download
         this.queuedSegments = [];
         this.queueIndex     = 0;
+
+        // init files keyed by representation key. the representation of the
+        // last init file queued for the buffer is tracked so a new init file
+        // can be appended whenever segments switch representation.
+        this.initFiles          = {};
+        this.loadingInitFiles   = {};
+        this.failedRepresentations = {};
+        this.bufferRepresentation = null;
+
+        // the interval of the last segment queued for the buffer. the buffer's
+        // timestampOffset and append window are set for each new interval.
+        this.bufferInterval = null;
+
+        // MediaSource.isTypeSupported results keyed by mse type
+        this.supportedTypes = {};
+
+        // representation selection. when lockedRepresentation is set to a
+        // representation id automatic selection is disabled.
+        this.bitrateController = new BitrateController(this);
+        this.lockedRepresentation = null;
     }
 
     destruct() {
@@ -38,9 +61,56 @@ class Source extends PlayerObject {
         this.codecs   = representation.codecs;
         this.mseType  = representation.mseType;
 
-        let mediaSource = this.presentation.player.mediaSource;
-        this.buffer = mediaSource.addSourceBuffer(this.mseType);
+        let controller = this.presentation.controller;
+        if (!this.canPlay(representation)) {
+            controller.error(new PlayerError(
+                PlayerError.codecUnsupportedError,
+                `${this.contentType} type ${this.mseType} is not supported`,
+                true,
+                {contentType: this.contentType, mseType: this.mseType}
+            ));
+            return false;
+        }
+
+        if (!this.addBuffer())
+            return false;
+
         this.state = Source.bufferCreated;
+        return true;
+    }
+
+    // adds a SourceBuffer for the current mse type to the media source
+    addBuffer() {
+        try {
+            this.addSourceBuffer(this.mseType);
+        } catch (e) {
+            this.presentation.controller.error(new PlayerError(
+                PlayerError.codecUnsupportedError,
+                `cannot create ${this.contentType} buffer for ${this.mseType}: ${e}`,
+                true,
+                {contentType: this.contentType, mseType: this.mseType}
+            ));
+            return false;
+        }
+
+        return true;
+    }
+
+    // throws when the media source won't accept another buffer
+    addSourceBuffer(type) {
+        let controller = this.presentation.controller;
+        let mediaSource = this.presentation.player.mediaSource;
+        this.buffer = mediaSource.addSourceBuffer(type);
+
+        // the buffer fires error when appended media can't be decoded
+        this.buffer.addEventListener('error', () => {
+            controller.error(new PlayerError(
+                PlayerError.mediaAppendError,
+                `${this.contentType} buffer failed to process appended media`,
+                true,
+                {contentType: this.contentType}
+            ));
+        });
 
         this.buffer.addEventListener('update', () => {
             // segments are added/removed through the updateQueue
@@ -53,16 +123,14 @@ class Source extends PlayerObject {
                 this.updating = false;
 
                 // perform some post processing on appended segments - clear
-                // unused memory and assign their end time
+                // unused memory
                 if (item.op == 'append') {
-                    // determine the real end time of the segment
                     let segment = item.segment;
-                    segment.realEnd = this.bufferEnd;
                     segment.data = null;
 
                     // debug log
                     let filename = URI(segment.uri()).filename();
-                    let duration = segment.realEnd - segment.realStart;
+                    let duration = segment.end - segment.start;
                     let time = performance.now() - this.presentation.controller.timeBase;
                     let range = segment.range ? `(${segment.range})` : '';
                     console.log(`${time.toFixed(2)} ` +
@@ -70,6 +138,13 @@ class Source extends PlayerObject {
                                 `segment ${filename} ${range}` +
                                 `added ${duration.toFixed(2)}s`
                     );
+
+                } else if (item.op == 'init') {
+                    console.log(`switched ${this.contentType} buffer to ` +
+                                `representation ${item.representation.id}`);
+                    this.presentation.controller.representationChanged(
+                        this, item.representation
+                    );
                 }
 
             // init files are added directly to the buffer
@@ -82,6 +157,20 @@ class Source extends PlayerObject {
         });
     }
 
+    canPlay(representation) {
+        let type = representation.mseType;
+        if (this.supportedTypes[type] == undefined)
+            this.supportedTypes[type] = MediaSource.isTypeSupported(type);
+        return this.supportedTypes[type];
+    }
+
+    // without changeType, a representation of another type can only be
+    // switched to by recreating the buffer once its media has played out
+    recreatesBuffer(representation) {
+        return this.buffer != null && !this.buffer.changeType &&
+                representation.mseType != this.mseType;
+    }
+
     appendUpdate(item) {
         this.updateQueue.push(item);
         if (!this.updating)
@@ -92,36 +181,255 @@ class Source extends PlayerObject {
         this.updating = true;
         let item = this.updateQueue[0];
         let segment = item.segment;
-        if (item.op == 'append')
-            this._appendNextSegment(segment);
-        else
-            this._removeSegment(segment);
+
+        // appends throw when the buffer is full, or has been removed from the
+        // media source. either way no further media can be buffered.
+        try {
+            if (item.op == 'append')
+                this._appendNextSegment(segment);
+            else if (item.op == 'chunk')
+                this.buffer.appendBuffer(new Uint8Array(item.data));
+            else if (item.op == 'init')
+                this.appendInitFile(this.initFiles[item.representation.key]);
+            else if (item.op == 'offset')
+                this._setOffset(item.interval);
+            else if (item.op == 'type')
+                this._changeType(item.representation);
+            else if (item.op == 'abort')
+                this._abort();
+            else
+                this._removeRange(item.start, item.end);
+        } catch (e) {
+            this.updateQueue.length = 0;
+            this.updating = false;
+            this.presentation.controller.error(new PlayerError(
+                PlayerError.mediaAppendError,
+                `cannot ${item.op} ${this.contentType} media: ${e}`,
+                true,
+                {contentType: this.contentType, error: e}
+            ));
+        }
+    }
+
+    _setOffset(interval) {
+        let content = interval.contentFor(this.contentType);
+        let end = (interval.end == undefined) ? Infinity : interval.end;
+
+        this.buffer.timestampOffset = content.timestampOffset;
+        this.buffer.appendWindowEnd = Infinity;
+        this.buffer.appendWindowStart = interval.start;
+        this.buffer.appendWindowEnd = end;
+
+        console.log(`${this.contentType} buffer timestampOffset now ` +
+                    `${content.timestampOffset.toFixed(2)} for interval ${interval.id}`);
+
+        this._nextUpdate();
+    }
+
+    // abort resets the buffer's parser, and its append window. the offset
+    // and append window are set again before the next segment.
+    abortAppend() {
+        this.bufferInterval = null;
+        this.appendUpdate({
+            op: 'abort'
+        });
+    }
+
+    _abort() {
+        console.log(`resetting ${this.contentType} buffer after a partial segment`);
+        this.buffer.abort();
+        this._nextUpdate();
+    }
+
+    // representations with a different mime type or codec (e.g a period
+    // switching from avc to hevc) change the buffer's type. where changeType
+    // isn't supported the buffer is recreated, which discards its media, so
+    // this waits until the media already buffered has been played.
+    _changeType(representation) {
+        let previous = this.mseType;
+        let type = representation.mseType;
+
+        if (this.buffer.changeType) {
+            this.buffer.changeType(type);
+        } else {
+            let video = this.presentation.player.video;
+            if (video.currentTime < this.bufferEnd - BUFFER_GAP_TOLERANCE) {
+                this.updating = false;
+                return;
+            }
+
+            this.presentation.player.mediaSource.removeSourceBuffer(this.buffer);
+            try {
+                this.addSourceBuffer(type);
+            } catch (e) {
+                this.changeTypeFailed(representation, e);
+                return;
+            }
+        }
+
+        console.log(`changed ${this.contentType} buffer type from ` +
+                    `${previous} to ${type}`);
+
+        this.mimeType = representation.mimeType;
+        this.codecs   = representation.codecs;
+        this.mseType  = type;
+        this._nextUpdate();
+    }
+
+    // some browsers won't add a buffer once media has been appended to the
+    // media source. if a buffer of the previous type can be restored, the
+    // new type is treated as unplayable and the error isn't fatal. either
+    // way, segments queued after the type change return to pending and are
+    // downloaded again.
+    changeTypeFailed(representation, e) {
+        let controller = this.presentation.controller;
+        let type = representation.mseType;
+
+        let segments = this.updateQueue.filter((item) => item.segment)
+                                       .map((item) => item.segment);
+        this.updateQueue.length = 0;
+        this.updating = false;
+        this.bufferRepresentation = null;
+        this.bufferInterval = null;
+        this.supportedTypes[type] = false;
+
+        for (let segment of segments)
+            segment.reset();
+        controller.segmentWindowFor(this).seek(controller.player.video.currentTime);
+
+        let restored = true;
+        try {
+            this.addSourceBuffer(this.mseType);
+        } catch (restoreError) {
+            restored = false;
+        }
+
+        controller.error(new PlayerError(
+            PlayerError.codecUnsupportedError,
+            `cannot change ${this.contentType} buffer type from ` +
+            `${this.mseType} to ${type}: ${e}`,
+            !restored,
+            {contentType: this.contentType, mseType: type}
+        ));
+    }
+
+    // offset, type and abort changes don't fire an update event, so the next
+    // item in the queue is processed immediately
+    _nextUpdate() {
+        this.updateQueue.splice(0, 1);
+        this.updating = false;
+        if (this.updateQueue.length > 0)
+            this.processUpdate();
+    }
+
+    // called every tick. a type change waiting for buffered media to play
+    // out leaves the queue paused.
+    resumeUpdates() {
+        if (!this.updating && this.updateQueue.length > 0)
+            this.processUpdate();
     }
 
     _appendNextSegment(segment) {
-        segment.realStart = this.bufferEnd;
-        if (segment.realStart == -1)
-            console.error('segment realStart is set to -1');
         this.buffer.appendBuffer(new Uint8Array(segment.data));
     }
 
+    // segments are appended by their segment window, in segment order, as
+    // they're received
+    segmentReceived(segment) {
+        this.presentation.controller.segmentReceived(this);
+    }
+
     appendSegment(segment) {
+        this.prepareAppend(segment);
         this.appendUpdate({
             op: 'append',
             segment
         });
     }
 
-    _removeSegment(segment) {
-        console.log(`deleting ${segment.start.toFixed(2)} to ` +
-                    `${segment.end.toFixed(2)} in ${this.contentType} buffer`);
-        this.buffer.remove(segment.start, segment.end);
+    // chunks of progressively downloaded segments are appended as they
+    // arrive. the first chunk is prepared for as a whole segment would be.
+    appendChunk(segment, data, first) {
+        if (first)
+            this.prepareAppend(segment);
+
+        this.appendUpdate({
+            op: 'chunk',
+            segment,
+            data
+        });
+    }
+
+    prepareAppend(segment) {
+        let representation = segment.representation;
+        let buffered = this.bufferRepresentation;
+        let switching = representation &&
+                            (!buffered || representation.key != buffered.key);
+        let changingType = switching && buffered &&
+                            representation.mseType != buffered.mseType;
+
+        // the buffer's type changes before the new representation's init
+        // file. a recreated buffer needs its offset set again.
+        if (changingType) {
+            this.appendUpdate({
+                op: 'type',
+                representation
+            });
+        }
+
+        // segments from a different interval are offset so their media times
+        // map to presentation times within the interval
+        let interval = segment.content.interval;
+        if (changingType || interval != this.bufferInterval) {
+            this.bufferInterval = interval;
+            this.appendUpdate({
+                op: 'offset',
+                interval
+            });
+        }
+
+        // segments from a different representation to the last segment must
+        // be preceded by that representation's init file
+        if (switching) {
+            this.bufferRepresentation = representation;
+            this.appendUpdate({
+                op: 'init',
+                representation
+            });
+        }
+    }
+
+    _removeRange(start, end) {
+        // removals can't extend past the media source's duration, which may
+        // end before the nominal end of the last segment, or be truncated to
+        // the buffered media when the stream is ended
+        let duration = this.presentation.player.mediaSource.duration;
+        if (duration < end)
+            end = duration;
+        if (start >= end) {
+            this._nextUpdate();
+            return;
+        }
+
+        console.log(`deleting ${start.toFixed(2)} to ` +
+                    `${end.toFixed(2)} in ${this.contentType} buffer`);
+        this.buffer.remove(start, end);
     }
 
     removeSegment(segment) {
         this.appendUpdate({
             op: 'remove',
-            segment
+            start: segment.start,
+            end: segment.end
+        });
+    }
+
+    // remove all media buffered after time, e.g when switching audio tracks
+    removeFrom(time) {
+        this.appendUpdate({
+            op: 'remove',
+            start: time,
+            end: Infinity
         });
     }
 
@@ -129,38 +437,77 @@ class Source extends PlayerObject {
         this.buffer.appendBuffer(new Uint8Array(data));
     }
 
-    loadInitFile() {
-        let initFile = new InitFile(this);
+    loadInitFile(representation = this.currentRepresentation) {
+        let key = representation.key;
+        if (this.initFiles[key] || this.loadingInitFiles[key])
+            return;
+
+        this.loadingInitFiles[key] = true;
+        let initFile = new InitFile(this, representation);
         this.presentation.controller.downloader.getMedia(
             initFile.uri,
-            undefined,
+            initFile.range,
             initFile
         );
     }
 
+    hasInitFile(representation) {
+        return this.initFiles[representation.key] != undefined;
+    }
+
+    initFileLoaded(representation, data) {
+        let key = representation.key;
+        this.initFiles[key] = data;
+        delete this.loadingInitFiles[key];
+
+        // the first init file initialises the buffer. later init files are
+        // appended when the first segment of their representation is.
+        if (this.state == Source.bufferCreated) {
+            this.bufferRepresentation = representation;
+            try {
+                this.appendInitFile(data);
+            } catch (e) {
+                this.presentation.controller.error(new PlayerError(
+                    PlayerError.mediaAppendError,
+                    `cannot append ${this.contentType} init file: ${e}`,
+                    true,
+                    {contentType: this.contentType, error: e}
+                ));
+                return;
+            }
+            this.state = Source.initialised;
+        }
+    }
+
+    // the source can't start without its first init file. if a later init
+    // file fails, its representation is no longer used.
+    initFileFailed(representation, uri, reason) {
+        delete this.loadingInitFiles[representation.key];
+        this.failedRepresentations[representation.key] = true;
+
+        this.presentation.controller.error(new PlayerError(
+            PlayerError.networkError,
+            `${reason} loading ${this.contentType} init file ${uri}`,
+            this.state == Source.bufferCreated,
+            {contentType: this.contentType, uri, representation: representation.id}
+        ));
+    }
+
 
     // ---------------------------
     // segments
     // ---------------------------
     segmentAt(time) {
-        if (this.video)
-            return this.presentation.timeline.videoSegmentAt(time);
-        else if (this.audio)
-            return this.presentation.timeline.audioSegmentAt(time);
+        return this.presentation.timeline.segmentAt(this.contentType, time);
     }
 
     segmentsInRange(start, end) {
-        if (this.video)
-            return this.presentation.timeline.videoSegmentsInRange(start, end);
-        else if (this.audio)
-            return this.presentation.timeline.audioSegmentsInRange(start, end);
+        return this.presentation.timeline.segmentsInRange(this.contentType, start, end);
     }
 
     contentAt(time) {
-        if (this.video)
-            return this.presentation.timeline.intervalAt(time).videoContent;
-        else
-            return this.presentation.timeline.intervalAt(time).audioContent;
+        let interval = this.presentation.timeline.intervalAt(time);
+        return interval.contentFor(this.contentType);
     }
 
 
@@ -176,6 +523,13 @@ class Source extends PlayerObject {
         return this.content.currentRepresentation;
     }
 
+    // sources are ready to buffer segments once the init file is appended
+    // and the current content has generated its segments
+    get ready() {
+        return this.state == Source.initialised &&
+                this.content.state == Content.initialised;
+    }
+
     get video() {
         return this.contentType == 'video';
     }
@@ -200,6 +554,24 @@ class Source extends PlayerObject {
         return this.currentRepresentation.bandwidth;
     }
 
+    // seconds of contiguous media buffered from time. small gaps between
+    // buffered ranges are common at segment boundaries and are ignored.
+    bufferedFrom(time) {
+        if (!this.buffer)
+            return 0;
+
+        let buffered = this.buffer.buffered;
+        let end = time;
+
+        for (let i = 0; i < buffered.length; i++) {
+            if (buffered.start(i) <= end + BUFFER_GAP_TOLERANCE &&
+                buffered.end(i) > end)
+                end = buffered.end(i);
+        }
+
+        return end - time;
+    }
+
     get bufferStart() {
         if (!this.buffer || this.buffer.buffered.length == 0)
             return -1;
@@ -0,0 +1,299 @@
+// --------------------------------------------------
+// text (subtitle and caption) sources
+// --------------------------------------------------
+// each text adaptation set is exposed as a TextTrack on the video element.
+// text isn't appended to a source buffer; files and segments are parsed and
+// their cues added to the track directly. tracks start disabled, and nothing
+// is downloaded for a track until it's enabled (hidden or showing).
+class TextSource extends PlayerObject {
+    constructor(key, adaptationSet, presentation) {
+        this.presentation   = presentation;
+        this.contentType    = 'text';
+        this.key            = key;
+        this.lang           = adaptationSet.lang || '';
+        this.label          = adaptationSet.label || adaptationSet.lang || key;
+        this.kind           = TextSource.kindFor(adaptationSet);
+        this.track          = null;
+
+        // representation selection is shared with media content. text has no
+        // bitrate adaptation; the middle representation is always used.
+        this.failedRepresentations = {};
+        this.lockedRepresentation  = null;
+        this.bitrateController     = null;
+
+        // segments keyed by representation key and time, so each is only
+        // downloaded once. cues are keyed by time and text, since segments
+        // may repeat cues which span segment boundaries.
+        this.segments       = {};
+        this.cueKeys        = {};
+        this.loadedFiles    = {};
+    }
+
+    // adaptation sets are matched between periods and manifest reloads by
+    // id, or by language and position when no id is provided
+    static keyFor(adaptationSet) {
+        if (adaptationSet.id != undefined)
+            return `${adaptationSet.id}`;
+
+        let textSets = adaptationSet.parent.adaptationSets.filter((set) =>
+            set.representations.some((r) => r.mediaContentType == 'text')
+        );
+
+        let lang = adaptationSet.lang || 'und';
+        return `${lang}-${textSets.indexOf(adaptationSet)}`;
+    }
+
+    // text track kinds are derived from the adaptation set's role
+    static kindFor(adaptationSet) {
+        switch (adaptationSet.role) {
+            case 'caption':     return 'captions';
+            case 'description': return 'descriptions';
+            default:            return 'subtitles';
+        }
+    }
+
+    destruct() {
+        if (this.track)
+            this.track.mode = 'disabled';
+    }
+
+    createTrack() {
+        if (this.track)
+            return;
+
+        let video = this.presentation.player.video;
+        this.track = video.addTextTrack(this.kind, this.label, this.lang);
+        this.track.mode = 'disabled';
+        console.log(`added ${this.kind} track ${this.label}`);
+    }
+
+
+    // ---------------------------
+    // downloads
+    // ---------------------------
+    // called every tick. sidecar files are loaded once, segmented text is
+    // downloaded minBufferTime ahead of the playhead.
+    update(time) {
+        if (!this.track || this.track.mode == 'disabled')
+            return;
+
+        let content = this.content;
+        if (!content || content.state != Content.initialised)
+            return;
+
+        content.selectRepresentation();
+        let representation = content.currentRepresentation;
+        if (!representation)
+            return;
+
+        if (representation.sidecar) {
+            this.loadTextFile(content, representation);
+            return;
+        }
+
+        let presentation = this.presentation;
+        let end = time + presentation.manifest.minBufferTime;
+        if (presentation.timeline.duration)
+            end = Math.min(end, presentation.timeline.duration);
+        if (end <= time)
+            return;
+
+        let downloader = presentation.controller.downloader;
+        for (let candidate of content.segmentsInRange(time, end)) {
+            let key = `${representation.key}:${candidate.time}`;
+            let segment = this.segments[key] || candidate;
+            this.segments[key] = segment;
+
+            if (segment.state != Segment.pending || !segment.available())
+                continue;
+            if (segment.retryAt && performance.now() < segment.retryAt)
+                continue;
+
+            segment.state = Segment.downloading;
+            let uri = segment.uri(true);
+            segment.download = downloader.getMedia(uri, segment.range, segment);
+            console.log(`downloading ${this.label} text segment: ${uri}`);
+        }
+
+        if (presentation.manifest.dynamic)
+            this.removeExpired();
+    }
+
+    // text isn't decoded by the media source, so any format can be parsed
+    canPlay(representation) {
+        return true;
+    }
+
+    recreatesBuffer(representation) {
+        return false;
+    }
+
+    loadTextFile(content, representation) {
+        let key = representation.key;
+        if (this.loadedFiles[key] || this.failedRepresentations[key])
+            return;
+
+        this.loadedFiles[key] = true;
+        let textFile = new TextFile(this, content, representation);
+        this.presentation.controller.downloader.getMedia(
+            textFile.uri,
+            undefined,
+            textFile
+        );
+    }
+
+    // sidecar cue times are relative to the start of their period
+    textFileLoaded(content, representation, data) {
+        let cues = this.parse(representation, data);
+        if (cues)
+            this.addCues(this.offsetCues(cues, content.timestampOffset));
+    }
+
+    // a track without its text can still be played, so this isn't fatal
+    textFileFailed(representation, uri, reason) {
+        this.failedRepresentations[representation.key] = true;
+        this.presentation.controller.error(new PlayerError(
+            PlayerError.networkError,
+            `${reason} loading text file ${uri}`,
+            false,
+            {contentType: this.contentType, uri, representation: representation.id}
+        ));
+    }
+
+    // segments and cues which have left the timeshift window are removed
+    removeExpired() {
+        let windowStart = this.presentation.seekableRange().start;
+
+        for (let key of Object.keys(this.segments)) {
+            if (this.segments[key].end < windowStart)
+                delete this.segments[key];
+        }
+
+        let cues = [].slice.call(this.track.cues || []);
+        for (let cue of cues) {
+            if (cue.endTime < windowStart) {
+                delete this.cueKeys[this.cueKey(cue.startTime, cue.endTime, cue.text)];
+                this.track.removeCue(cue);
+            }
+        }
+    }
+
+
+    // ---------------------------
+    // cues
+    // ---------------------------
+    // cues are added in any order, so segments are appended as soon as
+    // they're received
+    segmentReceived(segment) {
+        this.appendSegment(segment);
+        segment.state = Segment.downloaded;
+    }
+
+    // cues in segments, in mp4 or plain text, are in media time and are
+    // offset to the presentation time of their period
+    appendSegment(segment) {
+        let cues = this.parse(segment.representation, segment.data, segment.timescale);
+        segment.data = null;
+        if (cues)
+            this.addCues(this.offsetCues(cues, segment.content.timestampOffset));
+    }
+
+    offsetCues(cues, offset) {
+        if (offset != 0) {
+            for (let cue of cues) {
+                cue.start += offset;
+                cue.end += offset;
+            }
+        }
+
+        return cues;
+    }
+
+    parse(representation, data, timescale = 1) {
+        let format = representation.textFormat;
+
+        try {
+            if (representation.textInMP4)
+                return MP4TextParser.parse(data, timescale, format);
+
+            let text = decodeUTF8(new Uint8Array(data));
+            if (format == 'ttml')
+                return TTMLParser.parse(text);
+            return WebVTTParser.parse(text);
+
+        } catch (e) {
+            this.presentation.controller.error(new PlayerError(
+                PlayerError.mediaParseError,
+                `cannot parse ${this.label} text: ${e}`,
+                false,
+                {contentType: this.contentType, representation: representation.id}
+            ));
+            return null;
+        }
+    }
+
+    addCues(cues) {
+        let Cue = window.VTTCue || window.TextTrackCue;
+
+        for (let description of cues) {
+            let key = this.cueKey(description.start, description.end, description.text);
+            if (this.cueKeys[key])
+                continue;
+            this.cueKeys[key] = true;
+
+            let cue = new Cue(description.start, description.end, description.text);
+            if (description.id)
+                cue.id = description.id;
+            if (description.settings)
+                this.applySettings(cue, description.settings);
+
+            this.track.addCue(cue);
+        }
+    }
+
+    cueKey(start, end, text) {
+        return `${start.toFixed(3)}:${end.toFixed(3)}:${text}`;
+    }
+
+    // webvtt cue settings, e.g "align:start line:10% position:20%". browsers
+    // throw on values they don't support, so each is applied independently.
+    applySettings(cue, settings) {
+        for (let setting of settings.split(/\s+/)) {
+            let [name, value] = setting.split(':');
+            if (value == undefined)
+                continue;
+
+            // line and position may be followed by an alignment
+            value = value.split(',')[0];
+
+            try {
+                if (name == 'line') {
+                    if (value.endsWith('%')) {
+                        cue.snapToLines = false;
+                        cue.line = parseFloat(value);
+                    } else {
+                        cue.line = parseInt(value);
+                    }
+                } else if (name == 'position' || name == 'size') {
+                    cue[name] = parseFloat(value);
+                } else if (name == 'align' || name == 'vertical') {
+                    cue[name] = value;
+                }
+            } catch (ignore) {}
+        }
+    }
+
+
+    // ---------------------------
+    // properties
+    // ---------------------------
+    get content() {
+        let interval = this.presentation.timeline.currentInterval;
+        return interval.textContentFor(this);
+    }
+
+    get currentRepresentation() {
+        let content = this.content;
+        return content ? content.currentRepresentation : null;
+    }
+};
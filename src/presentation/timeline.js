@@ -84,9 +84,14 @@ class Timeline extends PlayerObject {
         else
             this.duration = undefined;
 
-        // ensure a currentInterval is always available
-        if (this.currentInterval == undefined)
-            this.currentInterval = this.intervals[0];
+        // ensure a currentInterval is always available. live presentations
+        // start in the interval at the live edge.
+        if (this.currentInterval == undefined) {
+            if (this.presentation.willStartAtLiveEdge)
+                this.currentInterval = this.intervalAt(this.presentation.liveEdge());
+            if (this.currentInterval == undefined)
+                this.currentInterval = this.intervals[0];
+        }
     }
 
 
@@ -155,22 +160,50 @@ class Timeline extends PlayerObject {
     }
 
 
+    // the current interval follows the playhead. returns true when playback
+    // has moved to a different interval.
+    advanceTo(time) {
+        let interval = this.intervalAt(time);
+        if (!interval || interval == this.currentInterval)
+            return false;
+
+        this.currentInterval = interval;
+        return true;
+    }
+
+
     // ---------------------------
     // segments
     // ---------------------------
-    videoSegmentAt(time) {
-        return this.intervalAt(time).videoContent.segmentAt(time);
+    segmentAt(contentType, time) {
+        let interval = this.intervalAt(time);
+        if (!interval)
+            return null;
+        return interval.contentFor(contentType).segmentAt(time);
     }
 
-    audioSegmentAt(time) {
-        return this.intervalAt(time).audioContent.segmentAt(time);
-    }
+    // segments may be drawn from several intervals. the last segment of an
+    // interval may extend beyond the interval's end; media past the end is
+    // trimmed by the source's append window.
+    segmentsInRange(contentType, start, end) {
+        let segments = [];
 
-    videoSegmentsInRange(start, end) {
-        return this.intervalAt(start).videoContent.segmentsInRange(start, end);
-    }
+        for (let interval of this.intervals) {
+            let intervalEnd = (interval.end == undefined) ? Infinity : interval.end;
+            if (interval.start >= end || intervalEnd <= start)
+                continue;
+
+            let content = interval.contentFor(contentType);
+            let from = Math.max(start, interval.start);
+            let to = Math.min(end, intervalEnd);
+
+            let intervalSegments = content.segmentsInRange(from, to).filter(
+                (segment) => segment.start < intervalEnd
+            );
+
+            segments = segments.concat(intervalSegments);
+        }
 
-    audioSegmentsInRange(start, end) {
-        return this.intervalAt(start).audioContent.segmentsInRange(start, end);
+        return segments;
     }
 };
@@ -0,0 +1,250 @@
+'use strict';
+
+// --------------------------------------------------
+// subtitle and caption parsing
+// --------------------------------------------------
+// parsers produce plain cue descriptions ({start, end, text, id, settings})
+// with times in seconds. sources convert these to TextTrackCues.
+function decodeUTF8(bytes) {
+    if (window.TextDecoder)
+        return new TextDecoder('utf-8').decode(bytes);
+
+    let chars = '';
+    for (let i = 0; i < bytes.length; i++)
+        chars += String.fromCharCode(bytes[i]);
+    return decodeURIComponent(escape(chars));
+}
+
+
+// --------------------------------------------------
+// webvtt
+// --------------------------------------------------
+var VTT_TIMING = /^\s*((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(.*)$/;
+var VTT_IGNORED_BLOCKS = /^(WEBVTT|NOTE|STYLE|REGION)\b/;
+
+class WebVTTParser {
+    static parse(text) {
+        let cues = [];
+        let blocks = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+        for (let block of blocks) {
+            let lines = block.split('\n').filter((line, i) =>
+                i > 0 || line.trim() != ''
+            );
+
+            if (lines.length == 0 || VTT_IGNORED_BLOCKS.test(lines[0]))
+                continue;
+
+            // cues have an optional identifier line before the timing line
+            let timingIndex = lines[0].includes('-->') ? 0 : 1;
+            let timing = (lines[timingIndex] || '').match(VTT_TIMING);
+            if (!timing)
+                continue;
+
+            cues.push({
+                id:         timingIndex == 1 ? lines[0] : undefined,
+                start:      WebVTTParser.time(timing[1]),
+                end:        WebVTTParser.time(timing[2]),
+                settings:   timing[3].trim(),
+                text:       lines.slice(timingIndex + 1).join('\n')
+            });
+        }
+
+        return cues;
+    }
+
+    // [hh:]mm:ss.ttt
+    static time(timestamp) {
+        let components = timestamp.split(':').map(parseFloat);
+        if (components.length == 2)
+            components.unshift(0);
+        let [hours, minutes, seconds] = components;
+        return (hours * 3600) + (minutes * 60) + seconds;
+    }
+}
+
+
+// --------------------------------------------------
+// ttml
+// --------------------------------------------------
+var TTML_PARAMETER_NS = 'http://www.w3.org/ns/ttml#parameter';
+var TTML_CLOCK_TIME = /^(\d{2,}):(\d{2}):(\d{2}(?:\.\d+)?)$/;
+var TTML_FRAME_TIME = /^(\d{2,}):(\d{2}):(\d{2}):(\d+(?:\.\d+)?)$/;
+var TTML_OFFSET_TIME = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+class TTMLParser {
+    // documents in mp4 samples are only active for the sample's duration
+    // (start to end). times in the document are on the media timeline, so
+    // elements without an end end with the sample, and cues are clipped to
+    // the sample.
+    static parse(text, start = 0, end = Infinity) {
+        let xml = new DOMParser().parseFromString(text, 'application/xml');
+        let tt = xml.documentElement;
+        if (!tt || tt.getElementsByTagName('parsererror').length > 0)
+            throw 'invalid ttml document';
+
+        let parser = new TTMLParser(tt);
+        let body = TTMLParser.elements(tt, 'body')[0];
+        if (body)
+            parser.walk(body, 0, end);
+
+        let cues = [];
+        for (let cue of parser.cues) {
+            cue.start = Math.max(cue.start, start);
+            cue.end = Math.min(cue.end, end);
+            if (cue.end > cue.start)
+                cues.push(cue);
+        }
+
+        return cues;
+    }
+
+    constructor(tt) {
+        this.cues = [];
+        this.frameRate = parseFloat(TTMLParser.parameter(tt, 'frameRate')) || 30;
+        this.tickRate = parseFloat(TTMLParser.parameter(tt, 'tickRate')) || 1;
+    }
+
+    static elements(parent, localName) {
+        return [].slice.call(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    static parameter(tt, name) {
+        return tt.getAttributeNS(TTML_PARAMETER_NS, name) ||
+                tt.getAttribute(`ttp:${name}`);
+    }
+
+    // begin times are relative to the begin time of the parent element. when
+    // neither end nor dur is provided an element ends with its parent.
+    walk(element, parentBegin, parentEnd) {
+        let begin = parentBegin + this.time(element.getAttribute('begin'), 0);
+        let end = parentEnd;
+
+        if (element.hasAttribute('end'))
+            end = parentBegin + this.time(element.getAttribute('end'));
+        else if (element.hasAttribute('dur'))
+            end = begin + this.time(element.getAttribute('dur'));
+
+        if (element.localName == 'p') {
+            let text = this.text(element).trim();
+            if (text != '' && end > begin && Number.isFinite(end))
+                this.cues.push({start: begin, end, text});
+            return;
+        }
+
+        for (let child of [].slice.call(element.childNodes)) {
+            if (child.nodeType == 1)
+                this.walk(child, begin, end);
+        }
+    }
+
+    // cue text is escaped since TextTrackCue text is parsed as webvtt markup
+    text(element) {
+        let text = '';
+
+        for (let node of [].slice.call(element.childNodes)) {
+            if (node.nodeType == 3) {
+                text += node.nodeValue.replace(/\s+/g, ' ')
+                                      .replace(/&/g, '&amp;')
+                                      .replace(/</g, '&lt;');
+            } else if (node.nodeType == 1) {
+                if (node.localName == 'br')
+                    text += '\n';
+                else
+                    text += this.text(node);
+            }
+        }
+
+        return text;
+    }
+
+    time(expression, defaultValue = undefined) {
+        if (expression == null || expression == '')
+            return defaultValue;
+
+        let clock = expression.match(TTML_CLOCK_TIME);
+        if (clock)
+            return (parseFloat(clock[1]) * 3600) + (parseFloat(clock[2]) * 60) +
+                    parseFloat(clock[3]);
+
+        let frames = expression.match(TTML_FRAME_TIME);
+        if (frames)
+            return (parseFloat(frames[1]) * 3600) + (parseFloat(frames[2]) * 60) +
+                    parseFloat(frames[3]) + (parseFloat(frames[4]) / this.frameRate);
+
+        let offset = expression.match(TTML_OFFSET_TIME);
+        if (offset) {
+            let count = parseFloat(offset[1]);
+            switch (offset[2]) {
+                case 'h':   return count * 3600;
+                case 'm':   return count * 60;
+                case 's':   return count;
+                case 'ms':  return count / 1000;
+                case 'f':   return count / this.frameRate;
+                case 't':   return count / this.tickRate;
+            }
+        }
+
+        throw `invalid ttml time expression "${expression}"`;
+    }
+}
+
+
+// --------------------------------------------------
+// fragmented mp4 (ISO/IEC 14496-30)
+// --------------------------------------------------
+// stpp samples are complete ttml documents. wvtt samples are vttc boxes,
+// holding the cue payload (payl), settings (sttg) and id (iden), or empty
+// vtte boxes when no cue is active.
+class MP4TextParser {
+    static parse(data, timescale, format) {
+        let cues = [];
+        let samples = new FragmentSamples(data).samples;
+
+        for (let sample of samples) {
+            let start = sample.time / timescale;
+            let end = (sample.time + sample.duration) / timescale;
+
+            if (format == 'ttml') {
+                // samples without a duration don't bound the document
+                let text = decodeUTF8(sample.data);
+                let bound = sample.duration ? end : Infinity;
+                cues = cues.concat(TTMLParser.parse(text, start, bound));
+            } else {
+                cues = cues.concat(MP4TextParser.vttCues(sample.data, start, end));
+            }
+        }
+
+        return cues;
+    }
+
+    static vttCues(bytes, start, end) {
+        let view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let cues = [];
+
+        for (let vttc of Box.parseAll(view)) {
+            if (vttc.type != 'vttc')
+                continue;
+
+            let cue = {start, end, text: '', settings: ''};
+            for (let box of vttc.children()) {
+                let content = new Uint8Array(
+                    bytes.buffer,
+                    bytes.byteOffset + box.contentOffset,
+                    box.end - box.contentOffset
+                );
+
+                if (box.type == 'payl')
+                    cue.text = decodeUTF8(content);
+                else if (box.type == 'sttg')
+                    cue.settings = decodeUTF8(content);
+                else if (box.type == 'iden')
+                    cue.id = decodeUTF8(content);
+            }
+
+            cues.push(cue);
+        }
+
+        return cues;
+    }
+}